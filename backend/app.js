@@ -0,0 +1,105 @@
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const config = require('./config');
+const { logger } = require('./lib/logger');
+const { requestId } = require('./middleware/requestId');
+const { requestLogger } = require('./middleware/requestLogger');
+const { observeRequests } = require('./middleware/metrics');
+const { limitRequests, limitWrites } = require('./middleware/rateLimit');
+const { notFound, errorHandler } = require('./middleware/errors');
+const { createAuthRouter } = require('./routes/auth');
+const { createCacheRouter } = require('./routes/cache');
+const { createDataRouter } = require('./routes/data');
+const { isImportRequest } = require('./routes/import');
+const { createQueryRouter } = require('./routes/query');
+const { createSearchRouter } = require('./routes/search');
+const { createAuditRouter } = require('./routes/audit');
+const { createSchemaRouter } = require('./routes/schema');
+const { createDocsRouter } = require('./routes/docs');
+const { createMetricsRouter } = require('./routes/metrics');
+const { createDiagnosticsRouter } = require('./routes/diagnostics');
+const { createHealthRouter } = require('./routes/health');
+
+// The Express app with every middleware and route, but not yet listening.
+// server.js starts it; tests run it against a local Supabase stand-in.
+function createApp() {
+  const app = express();
+
+  app.set('trust proxy', config.trustProxy);
+
+  // Middleware
+  app.use(requestId);
+  app.use(requestLogger);
+  if (config.metrics.enabled) {
+    app.use(observeRequests);
+  }
+  app.use(helmet());
+  app.use(cors({
+    // Any origin unless CORS_ORIGINS lists the allowed ones
+    origin: config.corsOrigins.length > 0 ? config.corsOrigins : '*',
+    // Let browsers read pagination headers, export filenames, row versions,
+    // the request id to quote in bug reports, when to retry after a 429 and
+    // whether data was served stale
+    exposedHeaders: [
+      'Content-Range', 'X-Total-Count', 'X-Next-Cursor', 'Content-Disposition', 'ETag', 'X-Request-Id',
+      'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset',
+      'Warning', 'X-Data-Stale', 'Age'
+    ]
+  }));
+  if (config.corsOrigins.length === 0 && process.env.NODE_ENV === 'production') {
+    logger.warn('CORS_ORIGINS is not set; any origin may call the API');
+  }
+  // Per-IP request limits, with a stricter one for writes
+  app.use('/api', limitRequests, limitWrites);
+  // Imports parse their larger bodies once the caller is authenticated
+  const parseJson = express.json();
+  app.use((req, res, next) => (isImportRequest(req) ? next() : parseJson(req, res, next)));
+
+  // Health check (/), liveness (/healthz) and readiness (/readyz) probes
+  app.use(createHealthRouter());
+
+  // Prometheus metrics, only when enabled (a token is then required)
+  if (config.metrics.enabled) {
+    app.use('/metrics', createMetricsRouter());
+  }
+
+  // Authentication endpoints
+  app.use('/api/auth', createAuthRouter());
+
+  // Cache clearing and hit/miss stats
+  app.use('/api', createCacheRouter());
+
+  // Connectivity, table and cache report (admins only, opt-in)
+  if (config.diagnostics) {
+    app.use('/api/diagnostics', createDiagnosticsRouter());
+  }
+
+  // Table, column and key information from the database catalog
+  app.use('/api/schema', createSchemaRouter());
+
+  // Generic query endpoint for registered tables, with a validated filter language
+  app.use('/api/query', createQueryRouter());
+
+  // Cross-table search
+  app.use('/api/search', createSearchRouter());
+
+  // Audit trail of data changes (admins only)
+  app.use('/api/audit', createAuditRouter());
+
+  // OpenAPI document (/api/openapi.json) and interactive docs (/api/docs)
+  app.use('/api', createDocsRouter(app));
+
+  // Data endpoints for every registered table (/api/data/:table and /api/:table)
+  app.use('/api', createDataRouter());
+
+  // Everything else gets the shared error envelope
+  app.use('/api', notFound);
+  app.use(errorHandler);
+
+  return app;
+}
+
+module.exports = {
+  createApp
+};
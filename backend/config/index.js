@@ -0,0 +1,77 @@
+// Runtime configuration read from environment variables
+const supabaseUrl = process.env.SUPABASE_URL;
+
+function list(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+module.exports = {
+  port: process.env.PORT || 3200,
+  // error, warn, info (default) or debug. debug adds a line per Supabase call.
+  logLevel: (process.env.LOG_LEVEL || 'info').toLowerCase(),
+  supabaseUrl,
+  // Anon key. SUPABASE_KEY is still read for .env files written before the
+  // variable was renamed.
+  supabaseKey: process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_KEY,
+  // Supabase Auth base URL. Override it to point at a local auth stand-in.
+  authUrl: process.env.SUPABASE_AUTH_URL || `${supabaseUrl}/auth/v1`,
+  // Supabase project JWT secret, used to verify access tokens locally.
+  // Without it tokens are verified by asking Supabase Auth on each request.
+  jwtSecret: process.env.JWT_SECRET,
+  // Forward Supabase realtime changes to the SSE streams
+  realtime: process.env.SUPABASE_REALTIME === 'true',
+  // Events kept per table so change streams can resume with Last-Event-ID
+  changeFeedBuffer: parseInt(process.env.CHANGE_FEED_BUFFER, 10) || 500,
+  // Query cache store: 'memory' (default) or 'redis' (needs REDIS_URL and the
+  // redis package)
+  cache: {
+    store: process.env.CACHE_STORE || 'memory',
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 1000,
+    redisUrl: process.env.REDIS_URL,
+    keyPrefix: process.env.CACHE_KEY_PREFIX || 'supabase-proxy:'
+  },
+  // Calls to Supabase (see lib/resilience.js): timeout per attempt, retries
+  // for reads with a random backoff between baseMs and maxDelayMs, and the
+  // circuit breaker opening after `breakerThreshold` failed attempts in a row
+  upstream: {
+    timeoutMs: parseInt(process.env.SUPABASE_TIMEOUT_MS, 10) || 10000,
+    writeTimeoutMs: parseInt(process.env.SUPABASE_WRITE_TIMEOUT_MS, 10) || 30000,
+    retries: process.env.SUPABASE_RETRIES ? parseInt(process.env.SUPABASE_RETRIES, 10) : 2,
+    retryBaseMs: parseInt(process.env.SUPABASE_RETRY_BASE_MS, 10) || 100,
+    retryMaxDelayMs: parseInt(process.env.SUPABASE_RETRY_MAX_DELAY_MS, 10) || 2000,
+    breakerThreshold: parseInt(process.env.BREAKER_THRESHOLD, 10) || 5,
+    breakerCooldownMs: parseInt(process.env.BREAKER_COOLDOWN_MS, 10) || 30000
+  },
+  // Origins allowed to call the API from a browser. Empty allows any origin.
+  corsOrigins: list(process.env.CORS_ORIGINS),
+  // Express 'trust proxy' setting, e.g. 1 behind one reverse proxy, so
+  // rate limits see the client's address instead of the proxy's
+  trustProxy: /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY || false,
+  // Requests per IP address per window, and again per user once their token
+  // is verified. Writes and login attempts also count against their own
+  // stricter limits.
+  rateLimit: {
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 60000,
+    maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10) || 100,
+    maxWrites: parseInt(process.env.RATE_LIMIT_MAX_WRITES, 10) || 30,
+    maxLogins: parseInt(process.env.RATE_LIMIT_MAX_LOGINS, 10) || 10
+  },
+  // Failed logins allowed per email and per IP address before they are locked
+  // out. Each further failure doubles the lockout, up to maxLockoutMs.
+  loginLockout: {
+    maxFailuresPerEmail: parseInt(process.env.LOGIN_MAX_FAILURES_PER_EMAIL, 10) || 5,
+    maxFailuresPerIp: parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP, 10) || 20,
+    lockoutMs: parseInt(process.env.LOGIN_LOCKOUT_MS, 10) || 60000,
+    maxLockoutMs: parseInt(process.env.LOGIN_MAX_LOCKOUT_MS, 10) || 15 * 60000
+  },
+  // How long /readyz waits for each dependency
+  readyTimeoutMs: parseInt(process.env.READY_TIMEOUT_MS, 10) || 2000,
+  // Serve the admin-only diagnostics report at GET /api/diagnostics
+  diagnostics: process.env.DIAGNOSTICS_ENABLED === 'true',
+  // Prometheus metrics at GET /metrics, served only with a token
+  metrics: {
+    enabled: process.env.METRICS_ENABLED === 'true',
+    token: process.env.METRICS_TOKEN
+  }
+};
@@ -0,0 +1,35 @@
+// Role-based permission policy
+//
+// Each role maps table names (as registered in config/tables.js) to the
+// operations it may perform there. '*' matches any table or operation.
+// A user's role comes from `app_metadata.role` in their token, falling back
+// to a `user_role` claim and then to `defaultRole`.
+
+const READ = ['list', 'read'];
+const ALL = ['*'];
+
+module.exports = {
+  // Role for authenticated users whose token carries no known role
+  defaultRole: 'viewer',
+
+  // Role for requests without an access token
+  anonymousRole: 'anon',
+
+  roles: {
+    admin: {
+      '*': ALL
+    },
+    editor: {
+      events: ALL,
+      file_link: ALL,
+      itcourses: READ,
+      professors: READ
+    },
+    viewer: {
+      '*': READ
+    },
+    anon: {
+      '*': READ
+    }
+  }
+};
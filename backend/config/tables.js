@@ -0,0 +1,103 @@
+// Table registry
+//
+// Each entry maps a public resource name (used in URLs and cache keys) to the
+// Supabase table that backs it. Every registered table is served through the
+// shared handlers in routes/data.js at /api/data/:table and, for backwards
+// compatibility, at /api/:table as well.
+//
+// Options:
+//   table        - real Supabase table name. If the database has it with a
+//                  different case (e.g. event for Event), the catalog name is
+//                  used instead; see lib/schema.js.
+//   primaryKey   - column used for /:id lookups (default: 'id')
+//   cacheTtl     - list cache lifetime in ms (default: 5 minutes, 0 disables)
+//   staleTtl     - how long after cacheTtl an expired result may still be
+//                  served while it is refreshed in the background (default:
+//                  1 minute)
+//   fallbackTtl  - how much longer an expired result is kept, to be served
+//                  (flagged as stale) while Supabase cannot be reached
+//                  (default: 1 hour)
+//   operations   - allowed operations: list, read, create, update, delete
+//   queryable    - expose the table on /api/query/:table (default: true)
+//   searchColumns - text columns searched by /api/search, most important first
+//   searchVector - optional tsvector column used for full-text search instead
+//                  of matching searchColumns with ilike
+//   versionColumn - timestamp column used as the row version for ETags
+//                  (default: 'updated_at'). Rows without it are versioned by
+//                  a hash of their contents.
+//   stream       - serve GET /api/:table/stream (default: true). Each event
+//                  is re-read with the subscriber's client, so row-level
+//                  security applies, at one Supabase read per event and
+//                  subscriber; turn it off for busy tables nobody watches.
+//   softDelete   - move deleted rows to a trash instead of removing them:
+//                  true, or { column, groupColumn, retentionDays } (defaults:
+//                  'deleted_at', 'deleted_group', 30). The columns must exist
+//                  on the table (see sql/soft_delete.sql).
+//   schema       - writable columns and their rules (see lib/validation.js).
+//                  Columns missing here are stripped from writes, so keep it
+//                  in sync with the table.
+
+const ALL_OPERATIONS = ['list', 'read', 'create', 'update', 'delete'];
+
+const DEFAULT_CACHE_TTL = 300000;
+
+module.exports = {
+  professors: {
+    table: 'Professors',
+    primaryKey: 'id',
+    cacheTtl: DEFAULT_CACHE_TTL,
+    operations: ALL_OPERATIONS,
+    searchColumns: ['Name', 'Department', 'Email', 'Office'],
+    schema: {
+      Name: { type: 'string', required: true, maxLength: 200 },
+      Email: { type: 'string', format: 'email', maxLength: 254 },
+      Department: { type: 'string', maxLength: 100 },
+      Rank: { type: 'string', enum: ['Full', 'Associate', 'Assistant', 'Lecturer'] },
+      Office: { type: 'string', maxLength: 100 },
+      Phone: { type: 'string', maxLength: 50 }
+    }
+  },
+  itcourses: {
+    table: 'ITCourses',
+    primaryKey: 'id',
+    cacheTtl: DEFAULT_CACHE_TTL,
+    operations: ALL_OPERATIONS,
+    searchColumns: ['Name', 'Code', 'Professor', 'Description'],
+    schema: {
+      Name: { type: 'string', required: true, maxLength: 200 },
+      Code: { type: 'string', maxLength: 20 },
+      Credits: { type: 'integer', min: 0, max: 10 },
+      Professor: { type: 'string', maxLength: 200 },
+      Semester: { type: 'string', enum: ['Fall', 'Spring', 'Summer'] },
+      Description: { type: 'string', maxLength: 2000 }
+    }
+  },
+  file_link: {
+    table: 'File_link',
+    primaryKey: 'id',
+    cacheTtl: DEFAULT_CACHE_TTL,
+    operations: ALL_OPERATIONS,
+    searchColumns: ['Name', 'Description', 'Link'],
+    softDelete: { retentionDays: 90 },
+    schema: {
+      Name: { type: 'string', required: true, maxLength: 200 },
+      Link: { type: 'string', format: 'url', required: true, maxLength: 2048 },
+      Description: { type: 'string', maxLength: 2000 }
+    }
+  },
+  events: {
+    table: 'Event',
+    primaryKey: 'id',
+    cacheTtl: DEFAULT_CACHE_TTL,
+    operations: ALL_OPERATIONS,
+    searchColumns: ['Name', 'Location', 'Description'],
+    softDelete: true,
+    schema: {
+      Name: { type: 'string', required: true, maxLength: 200 },
+      Start_date: { type: 'string', format: 'date', required: true },
+      End_date: { type: 'string', format: 'date' },
+      Location: { type: 'string', required: true, maxLength: 200 },
+      Description: { type: 'string', maxLength: 2000 }
+    }
+  }
+};
@@ -0,0 +1,138 @@
+const config = require('./index');
+const { listTables } = require('../lib/tables');
+
+// Startup configuration checks
+//
+// Every setting read from the environment is checked once before anything
+// else starts, so a typo fails the start with a list of what to fix instead
+// of surfacing later as a failed request. Numeric settings are checked on the
+// raw value, since config/index.js falls back to its default for anything
+// that does not parse.
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+const CACHE_STORES = ['memory', 'redis'];
+
+const NUMERIC_SETTINGS = [
+  'CHANGE_FEED_BUFFER',
+  'CACHE_MAX_ENTRIES',
+  'RATE_LIMIT_WINDOW_MS',
+  'RATE_LIMIT_MAX_REQUESTS',
+  'RATE_LIMIT_MAX_WRITES',
+  'RATE_LIMIT_MAX_LOGINS',
+  'LOGIN_MAX_FAILURES_PER_EMAIL',
+  'LOGIN_MAX_FAILURES_PER_IP',
+  'LOGIN_LOCKOUT_MS',
+  'LOGIN_MAX_LOCKOUT_MS',
+  'READY_TIMEOUT_MS',
+  'SUPABASE_TIMEOUT_MS',
+  'SUPABASE_WRITE_TIMEOUT_MS',
+  'SUPABASE_RETRY_BASE_MS',
+  'SUPABASE_RETRY_MAX_DELAY_MS',
+  'BREAKER_THRESHOLD',
+  'BREAKER_COOLDOWN_MS'
+];
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+function isOrigin(value) {
+  try {
+    const url = new URL(value);
+    return ['http:', 'https:'].includes(url.protocol) && url.origin === value;
+  } catch (error) {
+    return false;
+  }
+}
+
+function isPositiveInteger(value) {
+  return /^\d+$/.test(String(value).trim()) && Number(value) > 0;
+}
+
+function isDuration(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+// Problems with the current configuration, as messages naming the setting.
+// Empty when everything is usable.
+function validateConfig(env = process.env) {
+  const problems = [];
+
+  if (!config.supabaseUrl) {
+    problems.push('SUPABASE_URL is required');
+  } else if (!isHttpUrl(config.supabaseUrl)) {
+    problems.push(`SUPABASE_URL must be an http(s) URL, got '${config.supabaseUrl}'`);
+  }
+
+  if (!config.supabaseKey) {
+    problems.push('SUPABASE_ANON_KEY is required (the project\'s anon key)');
+  }
+
+  if (env.SUPABASE_AUTH_URL && !isHttpUrl(env.SUPABASE_AUTH_URL)) {
+    problems.push(`SUPABASE_AUTH_URL must be an http(s) URL, got '${env.SUPABASE_AUTH_URL}'`);
+  }
+
+  const port = Number(config.port);
+
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    problems.push(`PORT must be a port number between 0 and 65535, got '${config.port}'`);
+  }
+
+  if (!LOG_LEVELS.includes(config.logLevel)) {
+    problems.push(`LOG_LEVEL must be one of ${LOG_LEVELS.join(', ')}, got '${config.logLevel}'`);
+  }
+
+  for (const name of NUMERIC_SETTINGS) {
+    if (env[name] !== undefined && env[name] !== '' && !isPositiveInteger(env[name])) {
+      problems.push(`${name} must be a positive whole number, got '${env[name]}'`);
+    }
+  }
+
+  if (env.SUPABASE_RETRIES && !/^\d+$/.test(env.SUPABASE_RETRIES.trim())) {
+    problems.push(`SUPABASE_RETRIES must be a whole number (0 turns retries off), got '${env.SUPABASE_RETRIES}'`);
+  }
+
+  if (config.loginLockout.lockoutMs > config.loginLockout.maxLockoutMs) {
+    problems.push('LOGIN_LOCKOUT_MS must not be greater than LOGIN_MAX_LOCKOUT_MS');
+  }
+
+  if (!CACHE_STORES.includes(config.cache.store)) {
+    problems.push(`CACHE_STORE must be one of ${CACHE_STORES.join(', ')}, got '${config.cache.store}'`);
+  } else if (config.cache.store === 'redis' && !config.cache.redisUrl) {
+    problems.push('REDIS_URL is required with CACHE_STORE=redis');
+  }
+
+  for (const origin of config.corsOrigins) {
+    if (!isOrigin(origin)) {
+      problems.push(`CORS_ORIGINS entries must be origins like https://example.com, got '${origin}'`);
+    }
+  }
+
+  if (config.metrics.enabled && !config.metrics.token) {
+    problems.push('METRICS_TOKEN is required with METRICS_ENABLED=true');
+  }
+
+  for (const entry of listTables()) {
+    if (!isDuration(entry.cacheTtl)) {
+      problems.push(`config/tables.js: cacheTtl of '${entry.name}' must be a number of ms (0 or more)`);
+    }
+
+    if (!isDuration(entry.staleTtl)) {
+      problems.push(`config/tables.js: staleTtl of '${entry.name}' must be a number of ms (0 or more)`);
+    }
+
+    if (!isDuration(entry.fallbackTtl)) {
+      problems.push(`config/tables.js: fallbackTtl of '${entry.name}' must be a number of ms (0 or more)`);
+    }
+  }
+
+  return problems;
+}
+
+module.exports = {
+  validateConfig
+};
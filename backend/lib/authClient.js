@@ -0,0 +1,70 @@
+const { supabaseKey, authUrl } = require('../config');
+const { supabaseFetch } = require('./supabase');
+
+// Stateless client for the Supabase Auth (GoTrue) REST API.
+//
+// Unlike supabase.auth.* this never stores a session, so one user's login or
+// logout cannot leak into another request. Every call returns
+// { data, error } like the supabase-js client does.
+
+async function request(path, { method = 'POST', body, accessToken } = {}) {
+  try {
+    const response = await supabaseFetch(`${authUrl}${path}`, {
+      method,
+      headers: {
+        apikey: supabaseKey,
+        Authorization: `Bearer ${accessToken || supabaseKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    const text = await response.text();
+    const data = text ? JSON.parse(text) : null;
+
+    if (!response.ok) {
+      const message = (data && (data.error_description || data.msg || data.message || data.error)) ||
+        `Auth request failed with status ${response.status}`;
+
+      return { data: null, error: { message, status: response.status } };
+    }
+
+    return { data, error: null };
+  } catch (error) {
+    return { data: null, error: { message: error.message, status: 502 } };
+  }
+}
+
+// Exchange an email and password for a new session
+function signInWithPassword(email, password) {
+  return request('/token?grant_type=password', { body: { email, password } });
+}
+
+// Exchange a refresh token for a new session
+function refreshSession(refreshToken) {
+  return request('/token?grant_type=refresh_token', { body: { refresh_token: refreshToken } });
+}
+
+// Resolve the user that owns an access token
+function getUser(accessToken) {
+  return request('/user', { method: 'GET', accessToken });
+}
+
+// Revoke the session behind an access token. The default 'local' scope only
+// ends that one session; 'global' ends every session of the user.
+function signOut(accessToken, scope = 'local') {
+  return request(`/logout?scope=${encodeURIComponent(scope)}`, { accessToken });
+}
+
+// Whether Supabase Auth is up
+function health() {
+  return request('/health', { method: 'GET' });
+}
+
+module.exports = {
+  signInWithPassword,
+  refreshSession,
+  getUser,
+  signOut,
+  health
+};
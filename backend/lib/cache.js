@@ -0,0 +1,282 @@
+const config = require('../config');
+const { listTables } = require('./tables');
+const { createStore } = require('./cacheStores');
+const { logger, logError } = require('./logger');
+const { isUpstreamError } = require('./resilience');
+
+// Query cache
+//
+// Results are cached per table under keys built from the caller's scope and
+// the query, so rows that row-level security shows to one user are never
+// served to another. Each table has its own TTL (cacheTtl) plus a window
+// (staleTtl) in which an expired result is still served while it is refreshed
+// in the background. Concurrent misses for the same key share one fetch.
+// Expired results are kept for a further fallbackTtl and served, flagged as
+// stale, when Supabase cannot be reached (see lib/resilience.js).
+//
+// Records live in a pluggable store (see lib/cacheStores.js): in memory by
+// default, or in Redis with CACHE_STORE=redis.
+
+let store = createStore(config.cache);
+
+// Fetches in progress, by store key
+const inFlight = new Map();
+
+// Bumped on every clear so a fetch that started before the clear does not
+// write its now outdated result back
+const generations = new Map();
+
+const stats = {};
+
+// Scope used for requests made with the anon client
+const ANON_SCOPE = 'anon';
+
+function tableStats(table) {
+  if (!stats[table]) {
+    stats[table] = { hits: 0, staleHits: 0, misses: 0, coalesced: 0, refreshes: 0, fallbacks: 0, errors: 0 };
+  }
+
+  return stats[table];
+}
+
+// Cache scope for a request: the user id, or anon
+function cacheScope(req) {
+  return req.user ? `user:${req.user.sub}` : ANON_SCOPE;
+}
+
+// Cache key for a request's query, e.g. cacheKey(req, listQueryKey(options))
+function cacheKey(req, ...parts) {
+  return [cacheScope(req), ...parts].join('|');
+}
+
+function storeKey(table, key) {
+  return `${table}|${key}`;
+}
+
+// Store errors never fail a request; the cache is simply skipped
+async function readStore(table, key) {
+  try {
+    return await store.get(storeKey(table, key));
+  } catch (error) {
+    tableStats(table).errors++;
+    logError(error, `cache read (${table})`);
+    return undefined;
+  }
+}
+
+async function writeStore(entry, key, data) {
+  try {
+    await store.set(storeKey(entry.name, key), { data, storedAt: Date.now() }, entry.cacheTtl + entry.staleTtl + entry.fallbackTtl);
+  } catch (error) {
+    tableStats(entry.name).errors++;
+    logError(error, `cache write (${entry.name})`);
+  }
+}
+
+// Run `fetch` once per key at a time and cache its result
+function load(entry, key, fetch) {
+  const id = storeKey(entry.name, key);
+
+  if (inFlight.has(id)) {
+    tableStats(entry.name).coalesced++;
+    return inFlight.get(id);
+  }
+
+  const generation = generations.get(entry.name) || 0;
+
+  const promise = (async () => {
+    try {
+      const data = await fetch();
+
+      if (entry.cacheTtl > 0 && (generations.get(entry.name) || 0) === generation) {
+        await writeStore(entry, key, data);
+      }
+
+      return data;
+    } finally {
+      inFlight.delete(id);
+    }
+  })();
+
+  inFlight.set(id, promise);
+
+  return promise;
+}
+
+// Flag a response built from stale data: Warning 110 for HTTP caches and
+// X-Data-Stale for the viewer, plus the data's age when it is known
+function markStale(res, ageMs) {
+  res.set('Warning', '110 - "Response is Stale"');
+  res.set('X-Data-Stale', 'true');
+
+  if (Number.isFinite(ageMs)) {
+    res.set('Age', String(Math.floor(ageMs / 1000)));
+  }
+}
+
+// Get from cache or run `fetch` and cache its result under `key`. When the
+// fetch fails because Supabase is unavailable, a kept expired result is
+// returned instead and `onStale(ageMs)` is called, e.g. to markStale the
+// response.
+async function getCachedOrFetch(entry, key, fetch, onStale) {
+  const counters = tableStats(entry.name);
+
+  if (entry.cacheTtl <= 0) {
+    counters.misses++;
+    return load(entry, key, fetch);
+  }
+
+  const cached = await readStore(entry.name, key);
+  const age = cached ? Date.now() - cached.storedAt : Infinity;
+
+  if (age < entry.cacheTtl) {
+    counters.hits++;
+    return cached.data;
+  }
+
+  // Serve the stale result now and refresh it for the next caller
+  if (age < entry.cacheTtl + entry.staleTtl) {
+    counters.staleHits++;
+
+    if (!inFlight.has(storeKey(entry.name, key))) {
+      counters.refreshes++;
+      load(entry, key, fetch).catch(error => logError(error, `cache refresh (${entry.name})`));
+    }
+
+    return cached.data;
+  }
+
+  counters.misses++;
+
+  try {
+    return await load(entry, key, fetch);
+  } catch (error) {
+    if (!cached || !isUpstreamError(error)) throw error;
+
+    counters.fallbacks++;
+    logger.warn('Serving stale cache while Supabase is unavailable', { table: entry.name, ageMs: age, code: error.code });
+
+    if (onStale) onStale(age);
+    return cached.data;
+  }
+}
+
+// Every cached row of a table visible to one scope, without duplicates.
+// Used as a fallback when Supabase cannot be reached.
+async function cachedRows(entry, scope) {
+  const rows = new Map();
+  let records = [];
+
+  try {
+    records = await store.entries(storeKey(entry.name, `${scope}|`));
+  } catch (error) {
+    logError(error, `cache read (${entry.name})`);
+  }
+
+  for (const [, cached] of records) {
+    if (!cached.data || !Array.isArray(cached.data.rows)) {
+      continue;
+    }
+
+    for (const row of cached.data.rows) {
+      // Pages listed with includeDeleted may hold trashed rows
+      if (entry.softDelete && row[entry.softDelete.column]) continue;
+
+      rows.set(row[entry.primaryKey], row);
+    }
+  }
+
+  return Array.from(rows.values());
+}
+
+// Clear cache for a specific table, across all queries and scopes
+async function clearCache(table) {
+  generations.set(table, (generations.get(table) || 0) + 1);
+
+  try {
+    await store.deletePrefix(`${table}|`);
+  } catch (error) {
+    tableStats(table).errors++;
+    logError(error, `cache clear (${table})`);
+  }
+}
+
+// Clear cache for every registered table
+async function clearAllCaches() {
+  await Promise.all(listTables().map(entry => clearCache(entry.name)));
+}
+
+// Hit/miss counters per table plus the store's size
+async function cacheStats() {
+  let entries = null;
+
+  try {
+    entries = await store.size();
+  } catch (error) {
+    logError(error, 'cache stats');
+  }
+
+  const tables = {};
+
+  for (const entry of listTables()) {
+    tables[entry.name] = { ttl: entry.cacheTtl, staleTtl: entry.staleTtl, ...tableStats(entry.name) };
+  }
+
+  return {
+    store: store.name,
+    entries,
+    evictions: store.evictions !== undefined ? store.evictions : null,
+    inFlight: inFlight.size,
+    tables
+  };
+}
+
+// Number of live entries per table and the age of the oldest one, in ms.
+// Reads every record, so it is meant for occasional scrapes only.
+async function cacheEntryAges() {
+  const now = Date.now();
+  const ages = {};
+
+  for (const entry of listTables()) {
+    let records = [];
+
+    try {
+      records = await store.entries(`${entry.name}|`);
+    } catch (error) {
+      logError(error, `cache read (${entry.name})`);
+    }
+
+    ages[entry.name] = {
+      entries: records.length,
+      oldestMs: records.reduce((oldest, [, cached]) => Math.max(oldest, now - cached.storedAt), 0)
+    };
+  }
+
+  return ages;
+}
+
+// Name of the store once it has answered; throws when it cannot be reached
+async function checkCacheStore() {
+  await store.size();
+  return store.name;
+}
+
+// Swap the store, e.g. for a stand-in in tests
+function setCacheStore(newStore) {
+  store = newStore;
+  inFlight.clear();
+}
+
+module.exports = {
+  cacheScope,
+  cacheKey,
+  getCachedOrFetch,
+  cachedRows,
+  clearCache,
+  clearAllCaches,
+  cacheStats,
+  cacheEntryAges,
+  checkCacheStore,
+  markStale,
+  setCacheStore
+};
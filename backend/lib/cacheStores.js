@@ -0,0 +1,176 @@
+const { logError } = require('./logger');
+
+// Cache stores
+//
+// A store keeps JSON-serialisable records by key and drops them after their
+// TTL. lib/cache.js only talks to this interface, so any object with these
+// methods (sync or async) can be plugged in, e.g. a stand-in in tests:
+//
+//   get(key)               -> record, or undefined when missing or expired
+//   set(key, record, ttl)  -> store a record for ttl ms
+//   deletePrefix(prefix)   -> drop every key starting with prefix
+//   entries(prefix)        -> [key, record] pairs for keys starting with prefix
+//   size()                 -> number of stored records
+//
+// The memory store is the default. The Redis store shares one cache between
+// several server processes.
+
+// In-process store with least-recently-used eviction once maxEntries is
+// reached
+class MemoryStore {
+  constructor({ maxEntries = 1000 } = {}) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+    this.records = new Map();
+    this.evictions = 0;
+  }
+
+  get(key) {
+    const item = this.records.get(key);
+
+    if (!item) return undefined;
+
+    if (item.expiresAt <= Date.now()) {
+      this.records.delete(key);
+      return undefined;
+    }
+
+    // Move to the most recently used end
+    this.records.delete(key);
+    this.records.set(key, item);
+
+    return item.record;
+  }
+
+  set(key, record, ttl) {
+    this.records.delete(key);
+    this.records.set(key, { record, expiresAt: Date.now() + ttl });
+
+    while (this.records.size > this.maxEntries) {
+      this.records.delete(this.records.keys().next().value);
+      this.evictions++;
+    }
+  }
+
+  deletePrefix(prefix) {
+    for (const key of Array.from(this.records.keys())) {
+      if (key.startsWith(prefix)) {
+        this.records.delete(key);
+      }
+    }
+  }
+
+  entries(prefix) {
+    const now = Date.now();
+
+    return Array.from(this.records.entries())
+      .filter(([key, item]) => key.startsWith(prefix) && item.expiresAt > now)
+      .map(([key, item]) => [key, item.record]);
+  }
+
+  size() {
+    return this.records.size;
+  }
+}
+
+// Escape glob characters for a Redis MATCH pattern
+function escapePattern(value) {
+  return value.replace(/[*?[\]\\]/g, '\\$&');
+}
+
+// Store backed by a node-redis (v4) compatible client. Records are kept as
+// JSON strings and expire through Redis itself.
+class RedisStore {
+  constructor({ client, keyPrefix = 'cache:' }) {
+    this.name = 'redis';
+    this.client = client;
+    this.keyPrefix = keyPrefix;
+  }
+
+  async get(key) {
+    const value = await this.client.get(this.keyPrefix + key);
+    return value === null || value === undefined ? undefined : JSON.parse(value);
+  }
+
+  async set(key, record, ttl) {
+    await this.client.set(this.keyPrefix + key, JSON.stringify(record), { PX: Math.max(1, Math.ceil(ttl)) });
+  }
+
+  async deletePrefix(prefix) {
+    const keys = await this.scan(prefix);
+
+    if (keys.length > 0) {
+      await this.client.del(keys);
+    }
+  }
+
+  async entries(prefix) {
+    const keys = await this.scan(prefix);
+
+    if (keys.length === 0) return [];
+
+    const values = await this.client.mGet(keys);
+
+    return keys
+      .map((key, index) => [key.slice(this.keyPrefix.length), values[index]])
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([key, value]) => [key, JSON.parse(value)]);
+  }
+
+  async size() {
+    return (await this.scan('')).length;
+  }
+
+  async scan(prefix) {
+    const keys = [];
+    const match = `${escapePattern(this.keyPrefix + prefix)}*`;
+
+    // node-redis 4 yields single keys, later versions yield batches
+    for await (const found of this.client.scanIterator({ MATCH: match, COUNT: 100 })) {
+      keys.push(...[].concat(found));
+    }
+
+    return keys;
+  }
+}
+
+// Connect to Redis with the optional `redis` package
+function connectRedis(url) {
+  let redis;
+
+  try {
+    redis = require('redis');
+  } catch (error) {
+    throw new Error('CACHE_STORE=redis needs the redis package (npm install redis)');
+  }
+
+  const client = redis.createClient({ url });
+
+  client.on('error', error => logError(error, 'redis cache'));
+  client.connect().catch(error => logError(error, 'redis cache connect'));
+
+  return client;
+}
+
+// Build the store selected in config
+function createStore({ store = 'memory', maxEntries, redisUrl, keyPrefix } = {}) {
+  if (store === 'memory') {
+    return new MemoryStore({ maxEntries });
+  }
+
+  if (store === 'redis') {
+    if (!redisUrl) {
+      throw new Error('CACHE_STORE=redis needs REDIS_URL');
+    }
+
+    return new RedisStore({ client: connectRedis(redisUrl), keyPrefix });
+  }
+
+  throw new Error(`Unknown cache store: ${store}`);
+}
+
+module.exports = {
+  MemoryStore,
+  RedisStore,
+  createStore
+};
@@ -0,0 +1,144 @@
+const EventEmitter = require('events');
+const { changeFeedBuffer } = require('../config');
+
+// Change feed for the SSE streams
+//
+// Every change made through the proxy (and, when enabled, every change
+// Supabase realtime reports) is published here as an insert, update or delete
+// event for its table. Each table keeps its latest events in a ring buffer so
+// a client reconnecting with Last-Event-ID gets what it missed. Event ids are
+// `<boot>-<sequence>`; an id from another server run, or one older than the
+// buffer, cannot be resumed and the client is told to reload instead.
+
+const BUFFER_SIZE = changeFeedBuffer;
+
+// How long a change made through the proxy suppresses the identical change
+// arriving again from Supabase realtime
+const ECHO_WINDOW = 10000;
+
+// Stream event type for each operation a write reports to afterWrite
+const EVENT_TYPES = {
+  create: 'insert',
+  restore: 'insert',
+  update: 'update',
+  upsert: 'update',
+  delete: 'delete',
+  soft_delete: 'delete',
+  purge: 'delete'
+};
+
+const boot = Date.now().toString(36);
+const emitter = new EventEmitter();
+const buffers = new Map();
+const recent = new Map();
+let sequence = 0;
+
+emitter.setMaxListeners(0);
+
+// A table's buffered events plus the sequence of the last one dropped
+function bufferFor(table) {
+  if (!buffers.has(table)) {
+    buffers.set(table, { events: [], dropped: 0 });
+  }
+
+  return buffers.get(table);
+}
+
+function sequenceOf(event) {
+  return Number(event.id.split('-')[1]);
+}
+
+// Identity of a change, used to drop realtime echoes of our own writes.
+// Keys are sorted since realtime and PostgREST may order columns differently.
+function signature(table, type, row) {
+  const fields = Object.keys(row || {}).sort().map(key => [key, row[key]]);
+  return `${table}|${type}|${JSON.stringify(fields)}`;
+}
+
+function forgetOldEchoes(now) {
+  for (const [key, time] of recent) {
+    if (now - time < ECHO_WINDOW) break;
+    recent.delete(key);
+  }
+}
+
+// Publish one event: { type, row, old?, source }
+function publish(table, { type, row, old = null, source }) {
+  const now = Date.now();
+  const event = {
+    id: `${boot}-${++sequence}`,
+    table,
+    type,
+    row,
+    old,
+    source,
+    at: new Date(now).toISOString()
+  };
+
+  const buffer = bufferFor(table);
+  buffer.events.push(event);
+
+  if (buffer.events.length > BUFFER_SIZE) {
+    buffer.dropped = sequenceOf(buffer.events.shift());
+  }
+
+  forgetOldEchoes(now);
+  recent.set(signature(table, type, row), now);
+
+  emitter.emit(table, event);
+
+  return event;
+}
+
+// Publish the changes of a write made through the proxy. Changes are
+// { operation, before, after }.
+function publishChanges(entry, changes) {
+  if (!entry.stream) return;
+
+  for (const { operation, before = null, after = null } of changes) {
+    const type = EVENT_TYPES[operation];
+
+    if (type) {
+      publish(entry.name, {
+        type,
+        row: after || before,
+        old: after ? before : null,
+        source: 'api'
+      });
+    }
+  }
+}
+
+// Whether the same change was published by the proxy moments ago
+function isEcho(table, type, row) {
+  const time = recent.get(signature(table, type, row));
+  return time !== undefined && Date.now() - time < ECHO_WINDOW;
+}
+
+// Events after `lastEventId`, or null when they can no longer be replayed
+function eventsSince(table, lastEventId) {
+  const buffer = bufferFor(table);
+  const [eventBoot, eventSequence] = String(lastEventId).split('-');
+  const after = Number(eventSequence);
+
+  // Unknown id, or the events right after it have left the buffer
+  if (eventBoot !== boot || !Number.isInteger(after) || after > sequence || after < buffer.dropped) {
+    return null;
+  }
+
+  return buffer.events.filter(event => sequenceOf(event) > after);
+}
+
+// Listen for a table's events. Returns a function that stops listening.
+function subscribe(table, listener) {
+  emitter.on(table, listener);
+  return () => emitter.off(table, listener);
+}
+
+module.exports = {
+  publish,
+  publishChanges,
+  isEcho,
+  eventsSince,
+  subscribe
+};
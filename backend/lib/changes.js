@@ -0,0 +1,15 @@
+const { clearCache } = require('./cache');
+const { publishChanges } = require('./changeFeed');
+
+// Bookkeeping after a successful write: clear the table's cache and tell
+// stream subscribers. Changes are { operation, before, after } with the rows
+// as Supabase returned them. The audit trail is written by the database
+// itself (see sql/audit_log.sql).
+async function afterWrite(req, entry, changes) {
+  await clearCache(entry.name);
+  publishChanges(entry, changes);
+}
+
+module.exports = {
+  afterWrite
+};
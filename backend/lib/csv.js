@@ -0,0 +1,104 @@
+// Minimal RFC 4180 CSV parser for imports
+//
+// Handles quoted fields (with "" escapes and embedded newlines), CRLF or LF
+// line endings and a leading UTF-8 byte order mark. The first line is the
+// header; each following line becomes an object keyed by header name.
+
+class CsvParseError extends Error {
+  constructor(message, line) {
+    super(`${message} (line ${line})`);
+    this.line = line;
+  }
+}
+
+// Split CSV text into rows of raw string fields
+function parseRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          quoted = false;
+        }
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      if (field !== '') {
+        throw new CsvParseError('Unexpected quote inside an unquoted field', line);
+      }
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push({ fields: row, line });
+      row = [];
+      field = '';
+      line++;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new CsvParseError('Unterminated quoted field', line);
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push({ fields: row, line });
+  }
+
+  // Ignore blank lines
+  return rows.filter(({ fields }) => !(fields.length === 1 && fields[0] === ''));
+}
+
+// Parse CSV text into { columns, records } where each record carries the
+// source line number as `line`
+function parseCsv(text) {
+  const rows = parseRows(text);
+
+  if (rows.length === 0) {
+    return { columns: [], records: [] };
+  }
+
+  const columns = rows[0].fields.map(column => column.trim());
+
+  const records = rows.slice(1).map(({ fields, line }) => {
+    if (fields.length > columns.length) {
+      throw new CsvParseError(`Expected ${columns.length} fields but found ${fields.length}`, line);
+    }
+
+    const values = {};
+    columns.forEach((column, index) => {
+      values[column] = fields[index] !== undefined ? fields[index] : '';
+    });
+
+    return { line, values };
+  });
+
+  return { columns, records };
+}
+
+module.exports = {
+  CsvParseError,
+  parseCsv
+};
@@ -0,0 +1,133 @@
+const { supabaseUrl } = require('../config');
+const { listTables, queryTable } = require('./tables');
+const { cacheStats, checkCacheStore } = require('./cache');
+const authClient = require('./authClient');
+const { redact } = require('./logger');
+const { circuitStates } = require('./resilience');
+
+// Diagnostics report
+//
+// One snapshot of what the server can reach and what it has resolved:
+// Supabase database and Auth connectivity with their latency, the real name
+// and row count of every registered table, and the cache's counters. It never
+// includes rows, users or keys, and every value is passed through the log
+// redaction before it is returned. Served to admins by routes/diagnostics.js.
+// The individual checks also back the /readyz probe (routes/health.js).
+
+// Each check gives up after this long
+const CHECK_TIMEOUT_MS = 5000;
+
+class CheckTimeoutError extends Error {}
+
+function withTimeout(promise, ms) {
+  let timer;
+
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new CheckTimeoutError(`No answer within ${ms}ms`)), ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Only what helps to tell failures apart; never the request that failed
+function describeError(error) {
+  return {
+    code: error.code || (error instanceof CheckTimeoutError ? 'timeout' : undefined),
+    message: error.message,
+    status: error.status
+  };
+}
+
+// Run one check and time it. `check` resolves to the check's own fields or
+// throws.
+async function timed(check, timeoutMs = CHECK_TIMEOUT_MS) {
+  const started = process.hrtime.bigint();
+  const latencyMs = () => Math.round(Number(process.hrtime.bigint() - started) / 1e6);
+
+  try {
+    const fields = await withTimeout(check(), timeoutMs);
+    return { ok: true, latencyMs: latencyMs(), ...fields };
+  } catch (error) {
+    return { ok: false, latencyMs: latencyMs(), error: describeError(error) };
+  }
+}
+
+// Row count of a registered table, as seen by `client`
+function countRows(client, entry) {
+  return timed(async () => {
+    const { count, error } = await queryTable(client, entry, query => query.select('*', { count: 'exact', head: true }));
+
+    if (error) throw error;
+
+    return { rows: count };
+  });
+}
+
+// Whether the database answers a query on the first registered table
+function checkDatabase(client, timeoutMs) {
+  return timed(async () => {
+    const { error } = await queryTable(client, listTables()[0], query => query.select('*', { head: true }).limit(1));
+
+    if (error) throw error;
+
+    return {};
+  }, timeoutMs);
+}
+
+function checkAuth(timeoutMs) {
+  return timed(async () => {
+    const { error } = await authClient.health();
+
+    if (error) throw error;
+
+    return {};
+  }, timeoutMs);
+}
+
+// Whether the cache store answers (always, for the memory store)
+function checkCache(timeoutMs) {
+  return timed(async () => ({ store: await checkCacheStore() }), timeoutMs);
+}
+
+// The report for a caller's Supabase client. Row counts follow the caller's
+// row-level security.
+async function diagnosticsReport(client) {
+  const entries = listTables();
+
+  const [auth, counts, cache] = await Promise.all([
+    checkAuth(),
+    Promise.all(entries.map(entry => countRows(client, entry))),
+    cacheStats()
+  ]);
+
+  const answered = counts.filter(result => result.ok);
+  const tables = {};
+
+  entries.forEach((entry, index) => {
+    tables[entry.name] = { table: entry.table, ...counts[index] };
+  });
+
+  return redact({
+    generatedAt: new Date().toISOString(),
+    uptimeSeconds: Math.round(process.uptime()),
+    supabase: {
+      host: supabaseUrl ? new URL(supabaseUrl).host : null,
+      // The database is reachable if any table answered
+      database: {
+        ok: answered.length > 0,
+        latencyMs: answered.length > 0 ? Math.min(...answered.map(result => result.latencyMs)) : null
+      },
+      auth,
+      circuits: circuitStates()
+    },
+    tables,
+    cache
+  });
+}
+
+module.exports = {
+  checkDatabase,
+  checkAuth,
+  checkCache,
+  diagnosticsReport
+};
@@ -0,0 +1,123 @@
+const { isUpstreamError } = require('./resilience');
+
+// Error envelope shared by every route:
+//
+//   { error: 'Human readable message', code: 'stable_code', requestId, ...details }
+//
+// `code` is meant for programs and never changes for a given failure;
+// `error` is meant for people. Extra fields (validation `fields`, the
+// `current` row of a failed If-Match, ...) sit next to them. Database errors
+// are mapped to a status and a fixed message so raw Postgres details never
+// reach clients; they are logged instead.
+
+// Default code for each status
+const STATUS_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  405: 'operation_not_allowed',
+  409: 'conflict',
+  412: 'precondition_failed',
+  413: 'payload_too_large',
+  422: 'validation_failed',
+  429: 'rate_limited',
+  500: 'internal_error',
+  501: 'not_implemented',
+  502: 'upstream_error',
+  503: 'upstream_unavailable',
+  504: 'upstream_timeout'
+};
+
+// Postgres and PostgREST error codes: [status, code, message]
+const DATABASE_ERRORS = {
+  23505: [409, 'duplicate_key', 'A record with the same unique value already exists'],
+  23503: [409, 'foreign_key_violation', 'The record is missing a referenced record or is still referenced by another one'],
+  23502: [400, 'missing_value', 'A required value is missing'],
+  '22P02': [400, 'invalid_value', 'A value is not valid for its column'],
+  42501: [403, 'permission_denied', 'The database refused this operation for the caller'],
+  PGRST116: [404, 'not_found', 'Record not found'],
+  // no_data_found, raised by batch_apply for a missing row
+  P0002: [404, 'not_found', 'Record not found'],
+  PGRST301: [401, 'invalid_token', 'Invalid or expired access token'],
+  PGRST302: [401, 'invalid_token', 'Invalid or expired access token'],
+  PGRST303: [401, 'invalid_token', 'Invalid or expired access token']
+};
+
+// Supabase could not be reached or did not answer (see lib/resilience.js)
+const UPSTREAM_ERRORS = {
+  circuit_open: [503, 'upstream_unavailable', 'Supabase is unavailable; try again shortly'],
+  upstream_timeout: [504, 'upstream_timeout', 'Supabase did not answer in time'],
+  upstream_unavailable: [503, 'upstream_unavailable', 'Supabase is unavailable; try again shortly'],
+  upstream_bad_gateway: [502, 'upstream_error', 'Could not reach Supabase'],
+  auth_unavailable: [503, 'upstream_unavailable', 'Supabase Auth is unavailable; try again shortly'],
+  PGRST000: [503, 'upstream_unavailable', 'The database is unavailable; try again shortly'],
+  PGRST001: [503, 'upstream_unavailable', 'The database is unavailable; try again shortly'],
+  PGRST002: [503, 'upstream_unavailable', 'The database is unavailable; try again shortly'],
+  PGRST003: [504, 'upstream_timeout', 'The database did not answer in time']
+};
+
+// jsonwebtoken errors thrown while verifying access tokens locally
+const JWT_ERRORS = ['JsonWebTokenError', 'TokenExpiredError', 'NotBeforeError'];
+
+class ApiError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = details.code || STATUS_CODES[status] || (status >= 500 ? 'internal_error' : 'bad_request');
+    this.details = details;
+  }
+}
+
+// Map any thrown or returned error to an ApiError. Unknown errors become a
+// generic 500 so their message cannot leak internals.
+function toApiError(error) {
+  if (error instanceof ApiError) {
+    return error;
+  }
+
+  if (error && DATABASE_ERRORS[error.code]) {
+    const [status, code, message] = DATABASE_ERRORS[error.code];
+    return new ApiError(status, message, { code });
+  }
+
+  if (error && UPSTREAM_ERRORS[error.code]) {
+    const [status, code, message] = UPSTREAM_ERRORS[error.code];
+    return new ApiError(status, message, { code });
+  }
+
+  if (error && isUpstreamError(error)) {
+    return new ApiError(502, 'Could not reach Supabase', { code: 'upstream_error' });
+  }
+
+  if (error && JWT_ERRORS.includes(error.name)) {
+    return new ApiError(401, 'Invalid or expired access token', { code: 'invalid_token' });
+  }
+
+  // Errors from Express body parsers (malformed JSON, bodies over the limit)
+  if (error && error.expose && error.status >= 400 && error.status < 500) {
+    return new ApiError(error.status, error.message, error.type === 'entity.parse.failed' ? { code: 'invalid_json' } : {});
+  }
+
+  return new ApiError(500, 'Internal server error');
+}
+
+// Send an error response in the shared envelope. `details` may override the
+// default code for the status.
+function sendError(res, status, message, details = {}) {
+  const { code, ...rest } = details;
+
+  return res.status(status).json({
+    error: message,
+    code: code || STATUS_CODES[status] || 'error',
+    requestId: res.req.id,
+    ...rest
+  });
+}
+
+module.exports = {
+  ApiError,
+  toApiError,
+  sendError
+};
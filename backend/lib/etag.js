@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+
+// Entity tags for optimistic concurrency
+//
+// A row's version comes from its version column (updated_at by default) when
+// the row has one, otherwise from a hash of the whole row. List pages get a
+// tag built from their rows' versions and the total count. Clients send the
+// tag back in If-Match to make an update or delete conditional, or in
+// If-None-Match to get a 304 when nothing changed.
+
+function hash(value) {
+  return crypto.createHash('sha1').update(value).digest('base64url');
+}
+
+// Column that carries the row version, or null when the row has none
+function versionColumn(entry, row) {
+  const column = entry.versionColumn;
+  return column && row && row[column] !== undefined && row[column] !== null ? column : null;
+}
+
+function rowEtag(entry, row) {
+  const column = versionColumn(entry, row);
+  const source = column ? `${row[entry.primaryKey]}:${row[column]}` : JSON.stringify(row);
+
+  return `"${hash(source)}"`;
+}
+
+function pageEtag(entry, rows, total) {
+  return `"${hash(JSON.stringify([total, rows.map(row => rowEtag(entry, row))]))}"`;
+}
+
+// Strong comparison against an If-Match header: `*` matches any existing
+// row, weak tags never match
+function ifMatchPasses(header, etag) {
+  const tags = header.split(',').map(tag => tag.trim()).filter(Boolean);
+
+  if (!etag) return false;
+  return tags.includes('*') || tags.includes(etag);
+}
+
+// Weak comparison against an If-None-Match header: true when the client's
+// copy is current. Express's own check is skipped because it ignores the
+// header when the request also says Cache-Control: no-cache, which fetch()
+// adds whenever a script sets If-None-Match.
+function notModified(header, etag) {
+  if (!header || !etag) return false;
+
+  const weak = tag => tag.replace(/^W\//, '');
+  const tags = header.split(',').map(tag => weak(tag.trim()));
+
+  return tags.includes('*') || tags.includes(weak(etag));
+}
+
+// Narrow a write to the version that was checked, so a change made between
+// the check and the write is not overwritten. Rows without a version column
+// are only checked before the write.
+function whereVersion(entry, row, query) {
+  const column = versionColumn(entry, row);
+  return column ? query.eq(column, row[column]) : query;
+}
+
+module.exports = {
+  rowEtag,
+  pageEtag,
+  ifMatchPasses,
+  notModified,
+  whereVersion
+};
@@ -0,0 +1,164 @@
+const ExcelJS = require('exceljs');
+
+// Streaming writers for table exports
+//
+// Each writer is created for a response stream and the list of columns, and
+// exposes async write(row) and end(). Writers wait for the stream to drain so
+// large exports never pile up in memory. XLSX rows go through ExcelJS's zip
+// first, which compresses in the background; what it holds at most is about
+// the page of rows written since the response last drained.
+
+// Characters that make spreadsheet apps treat a cell as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Resolve once the stream has drained its buffer, or right away when it is
+// not full
+function waitForDrain(stream) {
+  if (!stream.writableNeedDrain) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      stream.removeListener('drain', onDrain);
+      stream.removeListener('close', onClose);
+    };
+    const onDrain = () => {
+      cleanup();
+      resolve();
+    };
+    const onClose = () => {
+      cleanup();
+      reject(new Error('Stream closed before export finished'));
+    };
+
+    stream.on('drain', onDrain);
+    stream.on('close', onClose);
+  });
+}
+
+// Write a chunk, waiting for 'drain' when the stream's buffer is full
+function writeChunk(stream, chunk) {
+  stream.write(chunk);
+  return waitForDrain(stream);
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function pick(row, columns) {
+  const record = {};
+
+  for (const column of columns) {
+    record[column] = row[column] === undefined ? null : row[column];
+  }
+
+  return record;
+}
+
+function createCsvWriter(stream, columns) {
+  // The byte order mark makes Excel open UTF-8 (e.g. Persian names) correctly
+  let pending = `\uFEFF${columns.map(csvCell).join(',')}\r\n`;
+
+  return {
+    async write(row) {
+      const line = `${columns.map(column => csvCell(row[column])).join(',')}\r\n`;
+      await writeChunk(stream, pending + line);
+      pending = '';
+    },
+    async end() {
+      if (pending) await writeChunk(stream, pending);
+      stream.end();
+    }
+  };
+}
+
+function createJsonWriter(stream, columns) {
+  let first = true;
+
+  return {
+    async write(row) {
+      await writeChunk(stream, `${first ? '[\n' : ',\n'}${JSON.stringify(pick(row, columns))}`);
+      first = false;
+    },
+    async end() {
+      await writeChunk(stream, first ? '[]\n' : '\n]\n');
+      stream.end();
+    }
+  };
+}
+
+function createNdjsonWriter(stream, columns) {
+  return {
+    async write(row) {
+      await writeChunk(stream, `${JSON.stringify(pick(row, columns))}\n`);
+    },
+    async end() {
+      stream.end();
+    }
+  };
+}
+
+// ExcelJS zips the workbook into `stream` itself, so rows are committed
+// synchronously; each write then waits until the response has taken what the
+// zip has passed on so far.
+function createXlsxWriter(stream, columns, sheetName) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream,
+    useStyles: false,
+    useSharedStrings: false
+  });
+  const worksheet = workbook.addWorksheet(sheetName.slice(0, 31));
+
+  worksheet.columns = columns.map(column => ({ header: column, key: column }));
+
+  return {
+    async write(row) {
+      const record = pick(row, columns);
+
+      for (const column of columns) {
+        if (record[column] !== null && typeof record[column] === 'object') {
+          record[column] = JSON.stringify(record[column]);
+        }
+      }
+
+      worksheet.addRow(record).commit();
+      await waitForDrain(stream);
+    },
+    async end() {
+      worksheet.commit();
+      await workbook.commit();
+    }
+  };
+}
+
+const FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8', create: createCsvWriter },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8', create: createJsonWriter },
+  ndjson: { extension: 'ndjson', contentType: 'application/x-ndjson; charset=utf-8', create: createNdjsonWriter },
+  xlsx: {
+    extension: 'xlsx',
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    create: createXlsxWriter
+  }
+};
+
+function getFormat(name) {
+  return Object.prototype.hasOwnProperty.call(FORMATS, name) ? FORMATS[name] : null;
+}
+
+module.exports = {
+  FORMATS,
+  getFormat
+};
@@ -0,0 +1,279 @@
+const { hasColumn } = require('./tables');
+
+// Filter expression language for /api/query/:table
+//
+//   filter    := term (',' term)*              terms are ANDed together
+//   term      := group | condition
+//   group     := ('and' | 'or') '(' filter ')'
+//   condition := column '.' operator '.' value
+//   operator  := eq | neq | gt | gte | lt | lte | like | ilike | in | is
+//   value     := bare text up to ',' or ')', or a "double-quoted" string
+//                (\" and \\ escapes); `in` takes a list: (a,b,"c,d");
+//                `is` takes null, true or false
+//
+// Example: Department.eq.CS,or(Rank.eq.Full,Rank.eq.Associate)
+//
+// Expressions are parsed into a tree and checked against the table's known
+// columns before anything is sent to PostgREST.
+
+const OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'like', 'ilike', 'in', 'is'];
+const IS_VALUES = ['null', 'true', 'false'];
+const IDENTIFIER = /[A-Za-z_][A-Za-z0-9_]*/y;
+const MAX_LENGTH = 2000;
+const MAX_DEPTH = 8;
+
+class FilterSyntaxError extends Error {
+  constructor(message, position, clause) {
+    super(message);
+    this.position = position;
+    this.clause = clause;
+  }
+}
+
+class Parser {
+  constructor(input) {
+    this.input = input;
+    this.pos = 0;
+    // Start of the condition being parsed, reported as the bad clause
+    this.clauseStart = null;
+  }
+
+  // The clause starting at `start`, for error messages
+  clauseAt(start) {
+    const rest = this.input.slice(start);
+    const end = rest.search(/[,)]/);
+    return end === -1 ? rest : rest.slice(0, end);
+  }
+
+  fail(message, position = this.pos) {
+    const clauseStart = this.clauseStart !== null ? this.clauseStart : position;
+    throw new FilterSyntaxError(message, position, this.clauseAt(clauseStart));
+  }
+
+  peek() {
+    return this.input[this.pos];
+  }
+
+  expect(char) {
+    if (this.peek() !== char) {
+      this.fail(this.pos >= this.input.length
+        ? `Expected '${char}' but the expression ended`
+        : `Expected '${char}' but found '${this.peek()}'`);
+    }
+    this.pos++;
+  }
+
+  identifier(what) {
+    IDENTIFIER.lastIndex = this.pos;
+    const match = IDENTIFIER.exec(this.input);
+
+    if (!match) {
+      this.fail(`Expected ${what}`);
+    }
+
+    this.pos += match[0].length;
+    return match[0];
+  }
+
+  // filter := term (',' term)*
+  parseList(depth) {
+    const children = [this.parseTerm(depth)];
+
+    while (this.peek() === ',') {
+      this.pos++;
+      children.push(this.parseTerm(depth));
+    }
+
+    return { type: 'and', children };
+  }
+
+  // term := group | condition
+  parseTerm(depth) {
+    const start = this.pos;
+    this.clauseStart = null;
+    const group = /^(and|or)\(/.exec(this.input.slice(this.pos));
+
+    if (group) {
+      if (depth >= MAX_DEPTH) {
+        this.fail(`Groups may be nested at most ${MAX_DEPTH} levels deep`, start);
+      }
+
+      this.pos += group[0].length;
+      const node = this.parseList(depth + 1);
+      this.expect(')');
+
+      return { type: group[1], children: node.children, position: start };
+    }
+
+    return this.parseCondition();
+  }
+
+  // condition := column '.' operator '.' value
+  parseCondition() {
+    const start = this.pos;
+    this.clauseStart = start;
+    const column = this.identifier('a column name');
+    this.expect('.');
+
+    const operatorStart = this.pos;
+    const operator = this.identifier('an operator');
+
+    if (!OPERATORS.includes(operator)) {
+      this.fail(`Unknown operator '${operator}'`, operatorStart);
+    }
+
+    this.expect('.');
+
+    let value;
+
+    if (operator === 'in') {
+      value = this.parseValueList();
+    } else {
+      const valueStart = this.pos;
+      value = this.parseValue();
+
+      if (operator === 'is' && !IS_VALUES.includes(value)) {
+        this.fail(`'is' only accepts ${IS_VALUES.join(', ')}`, valueStart);
+      }
+    }
+
+    return { type: 'condition', column, operator, value, position: start };
+  }
+
+  // (a,b,"c,d")
+  parseValueList() {
+    this.expect('(');
+    const values = [this.parseValue()];
+
+    while (this.peek() === ',') {
+      this.pos++;
+      values.push(this.parseValue());
+    }
+
+    this.expect(')');
+    return values;
+  }
+
+  parseValue() {
+    if (this.peek() === '"') {
+      return this.parseQuoted();
+    }
+
+    const start = this.pos;
+
+    while (this.pos < this.input.length && !',()'.includes(this.peek())) {
+      this.pos++;
+    }
+
+    if (this.pos === start) {
+      this.fail('Expected a value');
+    }
+
+    return this.input.slice(start, this.pos);
+  }
+
+  parseQuoted() {
+    const start = this.pos;
+    let value = '';
+    this.pos++;
+
+    while (this.pos < this.input.length) {
+      const char = this.input[this.pos++];
+
+      if (char === '"') {
+        return value;
+      }
+
+      if (char === '\\' && this.pos < this.input.length) {
+        value += this.input[this.pos++];
+      } else {
+        value += char;
+      }
+    }
+
+    this.fail('Unterminated quoted value', start);
+  }
+}
+
+// Parse a filter expression into a tree. Throws FilterSyntaxError.
+function parseFilter(input) {
+  if (input.length > MAX_LENGTH) {
+    throw new FilterSyntaxError(`Filter expressions are limited to ${MAX_LENGTH} characters`, MAX_LENGTH, '');
+  }
+
+  const parser = new Parser(input);
+  const tree = parser.parseList(0);
+
+  if (parser.pos < input.length) {
+    parser.fail(`Unexpected '${parser.peek()}'`);
+  }
+
+  return tree;
+}
+
+// Check every column in the tree against the table's allow-list
+function checkColumns(entry, node, input) {
+  if (node.type === 'condition') {
+    if (!hasColumn(entry, node.column)) {
+      throw new FilterSyntaxError(`Unknown column '${node.column}'`, node.position,
+        new Parser(input).clauseAt(node.position));
+    }
+    return;
+  }
+
+  node.children.forEach(child => checkColumns(entry, child, input));
+}
+
+// Parse and validate a filter expression for a table
+function parseTableFilter(entry, input) {
+  const tree = parseFilter(input);
+  checkColumns(entry, tree, input);
+  return tree;
+}
+
+// Quote a value for use inside a PostgREST logic tree or `in` list
+function quote(value) {
+  return /[,.:()"\\\s]/.test(value) ? `"${value.replace(/["\\]/g, '\\$&')}"` : value;
+}
+
+// Serialize a node in PostgREST's logic tree syntax
+function serialize(node) {
+  if (node.type === 'condition') {
+    const value = node.operator === 'in'
+      ? `(${node.value.map(quote).join(',')})`
+      : node.operator === 'is' ? node.value : quote(node.value);
+
+    return `${node.column}.${node.operator}.${value}`;
+  }
+
+  return `${node.type}(${node.children.map(serialize).join(',')})`;
+}
+
+// Apply a parsed filter tree to a Supabase query builder
+function applyFilterTree(builder, tree) {
+  let query = builder;
+
+  for (const node of tree.children) {
+    if (node.type === 'condition') {
+      const value = node.operator === 'in'
+        ? `(${node.value.map(quote).join(',')})`
+        : node.value;
+
+      query = query.filter(node.column, node.operator, value);
+    } else if (node.type === 'or') {
+      query = query.or(node.children.map(serialize).join(','));
+    } else {
+      query = applyFilterTree(query, node);
+    }
+  }
+
+  return query;
+}
+
+module.exports = {
+  FilterSyntaxError,
+  parseFilter,
+  parseTableFilter,
+  applyFilterTree,
+  quote
+};
@@ -0,0 +1,233 @@
+// Pagination, sorting and filtering for list endpoints
+//
+// Supported query parameters:
+//   limit=50               page size (default 100, max 1000)
+//   offset=100             rows to skip
+//   cursor=<token>         keyset pagination; use the X-Next-Cursor value of
+//                          the previous page. Only valid when sorting by the
+//                          primary key.
+//   sort=Name,-Credits     columns to sort by, '-' for descending
+//   select=Name,Email      columns to return (default: all)
+//   includeDeleted=true    include trashed rows on soft-delete tables
+//   Department=CS          equality filter on a column
+//   Credits[gte]=3         operator filter: eq, neq, gt, gte, lt, lte, like,
+//                          ilike, in (comma-separated) and is (null, true, false)
+
+const { hasColumn } = require('./tables');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+const RESERVED_PARAMS = ['limit', 'offset', 'cursor', 'sort', 'select', 'includeDeleted'];
+const FILTER_OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'like', 'ilike', 'in', 'is'];
+const IS_VALUES = { null: null, true: true, false: false };
+
+class ListQueryError extends Error {}
+
+function parseInteger(value, name, min, max) {
+  const number = Number(value);
+
+  if (!Number.isInteger(number) || number < min || (max !== undefined && number > max)) {
+    const range = max !== undefined ? `between ${min} and ${max}` : `at least ${min}`;
+    throw new ListQueryError(`${name} must be an integer ${range}`);
+  }
+
+  return number;
+}
+
+function parseSort(entry, value) {
+  const sort = [];
+
+  if (value) {
+    for (const part of String(value).split(',').map(item => item.trim()).filter(Boolean)) {
+      const ascending = !part.startsWith('-');
+      const column = ascending ? part : part.slice(1);
+
+      if (!hasColumn(entry, column)) {
+        throw new ListQueryError(`Cannot sort by unknown column '${column}'`);
+      }
+
+      sort.push({ column, ascending });
+    }
+  }
+
+  // Always end with the primary key so pages are stable
+  if (!sort.some(item => item.column === entry.primaryKey)) {
+    sort.push({ column: entry.primaryKey, ascending: sort.length === 0 || sort[0].ascending });
+  }
+
+  return sort;
+}
+
+function parseSelect(entry, value) {
+  if (value === undefined || value === '*') {
+    return null;
+  }
+
+  const columns = String(value).split(',').map(column => column.trim());
+
+  for (const column of columns) {
+    if (!column || !hasColumn(entry, column)) {
+      throw new ListQueryError(`Cannot select unknown column '${column}'`);
+    }
+  }
+
+  return Array.from(new Set(columns));
+}
+
+function parseFilters(entry, query) {
+  const filters = [];
+
+  for (const [column, value] of Object.entries(query)) {
+    if (RESERVED_PARAMS.includes(column) || !hasColumn(entry, column)) {
+      continue;
+    }
+
+    const conditions = value !== null && typeof value === 'object' && !Array.isArray(value)
+      ? Object.entries(value)
+      : [['eq', value]];
+
+    for (const [operator, raw] of conditions) {
+      if (!FILTER_OPERATORS.includes(operator)) {
+        throw new ListQueryError(`Unknown filter operator '${operator}' on ${column}`);
+      }
+
+      if (typeof raw !== 'string') {
+        throw new ListQueryError(`Filter ${column}[${operator}] must have a single value`);
+      }
+
+      if (operator === 'in') {
+        filters.push({ column, operator, value: raw.split(',') });
+      } else if (operator === 'is') {
+        if (!Object.prototype.hasOwnProperty.call(IS_VALUES, raw)) {
+          throw new ListQueryError(`Filter ${column}[is] must be null, true or false`);
+        }
+        filters.push({ column, operator, value: IS_VALUES[raw] });
+      } else {
+        filters.push({ column, operator, value: raw });
+      }
+    }
+  }
+
+  return filters;
+}
+
+function encodeCursor(after, ascending) {
+  return Buffer.from(JSON.stringify({ after, ascending })).toString('base64url');
+}
+
+function decodeCursor(token) {
+  try {
+    const cursor = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+
+    if (!cursor || cursor.after === undefined || typeof cursor.ascending !== 'boolean') {
+      throw new Error('Malformed cursor');
+    }
+
+    return cursor;
+  } catch (error) {
+    throw new ListQueryError('cursor is not valid');
+  }
+}
+
+// Parse list query parameters for a table. Throws ListQueryError when a
+// parameter is invalid.
+function parseListQuery(entry, query) {
+  const limit = query.limit !== undefined ? parseInteger(query.limit, 'limit', 1, MAX_LIMIT) : DEFAULT_LIMIT;
+  const offset = query.offset !== undefined ? parseInteger(query.offset, 'offset', 0) : 0;
+  const sort = parseSort(entry, query.sort);
+  const columns = parseSelect(entry, query.select);
+  const filters = parseFilters(entry, query);
+  const keyset = sort.length === 1 && sort[0].column === entry.primaryKey;
+  let cursor = null;
+
+  if (query.cursor !== undefined) {
+    if (query.offset !== undefined) {
+      throw new ListQueryError('cursor and offset cannot be combined');
+    }
+
+    cursor = decodeCursor(query.cursor);
+
+    if (query.sort === undefined) {
+      sort[0].ascending = cursor.ascending;
+    } else if (!keyset || sort[0].ascending !== cursor.ascending) {
+      throw new ListQueryError(`cursor pagination requires sorting by ${entry.primaryKey}`);
+    }
+  }
+
+  // Trashed rows are hidden unless asked for. The trash listing sets
+  // `deleted: true` itself.
+  const trash = entry.softDelete && query.includeDeleted !== 'true'
+    ? { column: entry.softDelete.column, deleted: false }
+    : null;
+
+  return { limit, offset, sort, columns, filters, cursor, keyset, trash };
+}
+
+// Select list for a list page. The primary key is always included so
+// cursors and row links keep working.
+function selectList(entry, options) {
+  if (!options.columns) {
+    return '*';
+  }
+
+  return Array.from(new Set([entry.primaryKey, ...options.columns])).join(',');
+}
+
+// Apply filters to a Supabase query builder
+function applyFilters(builder, options) {
+  let query = builder;
+
+  if (options.trash) {
+    query = options.trash.deleted
+      ? query.not(options.trash.column, 'is', null)
+      : query.is(options.trash.column, null);
+  }
+
+  for (const { column, operator, value } of options.filters) {
+    query = operator === 'in' ? query.in(column, value) : query.filter(column, operator, value);
+  }
+
+  return query;
+}
+
+// Build the page query: filters, sort, cursor and range
+function applyListQuery(builder, entry, options) {
+  let query = applyFilters(builder, options);
+
+  if (options.cursor) {
+    query = options.cursor.ascending
+      ? query.gt(entry.primaryKey, options.cursor.after)
+      : query.lt(entry.primaryKey, options.cursor.after);
+  }
+
+  for (const { column, ascending } of options.sort) {
+    query = query.order(column, { ascending });
+  }
+
+  return query.range(options.offset, options.offset + options.limit - 1);
+}
+
+// Stable cache key for a parsed list query
+function listQueryKey(options) {
+  return JSON.stringify([options.limit, options.offset, options.sort, options.columns, options.filters, options.cursor, options.trash]);
+}
+
+// Cursor for the page after `rows`, or null when there is none
+function nextCursor(entry, options, rows) {
+  if (!options.keyset || rows.length < options.limit) {
+    return null;
+  }
+
+  return encodeCursor(rows[rows.length - 1][entry.primaryKey], options.sort[0].ascending);
+}
+
+module.exports = {
+  ListQueryError,
+  parseListQuery,
+  selectList,
+  applyFilters,
+  applyListQuery,
+  listQueryKey,
+  nextCursor
+};
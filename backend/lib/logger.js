@@ -0,0 +1,141 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { logLevel, supabaseKey, jwtSecret } = require('../config');
+
+// Structured logging
+//
+// Every log line is one JSON object on stdout:
+//   { "time": "...", "level": "info", "msg": "...", "requestId": "...", ...fields }
+// Lines below LOG_LEVEL (error, warn, info, debug) are dropped. Values under
+// secret-looking keys, bearer tokens, JWTs and the configured Supabase key
+// and JWT secret are replaced before anything is written.
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+const threshold = LEVELS[logLevel] !== undefined ? LEVELS[logLevel] : LEVELS.info;
+
+const REDACTED = '[REDACTED]';
+const SECRET_KEYS = /pass(word)?|secret|token|authorization|api[-_]?key|cookie|credential/i;
+const SECRET_PATTERNS = [
+  /Bearer\s+[^\s"',]+/gi,
+  /eyJ[\w-]+\.[\w-]+\.[\w-]*/g
+];
+const SECRET_VALUES = [supabaseKey, jwtSecret].filter(value => value && value.length >= 8);
+
+// Request id and Supabase call totals of the request being handled
+const context = new AsyncLocalStorage();
+
+function redactString(value) {
+  let result = value;
+
+  for (const secret of SECRET_VALUES) {
+    result = result.split(secret).join(REDACTED);
+  }
+
+  for (const pattern of SECRET_PATTERNS) {
+    result = result.replace(pattern, match => (/^bearer/i.test(match) ? `Bearer ${REDACTED}` : REDACTED));
+  }
+
+  return result;
+}
+
+// Copy of a value with secrets replaced
+function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactString(value);
+  if (!value || typeof value !== 'object') return value;
+  if (depth > 8) return '[Truncated]';
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  const copy = {};
+
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = SECRET_KEYS.test(key) && item !== null && item !== undefined ? REDACTED : redact(item, depth + 1);
+  }
+
+  return copy;
+}
+
+// The useful parts of an error. Request bodies and other attached data are
+// left out on purpose.
+function serializeError(error) {
+  if (!error || typeof error !== 'object') {
+    return { message: String(error) };
+  }
+
+  const fields = {
+    name: error.name,
+    message: error.message,
+    code: error.code,
+    status: error.status,
+    details: error.details,
+    hint: error.hint
+  };
+
+  // PostgREST errors are plain objects; their stack would only show this file
+  if (error instanceof Error) {
+    fields.stack = error.stack;
+  }
+
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined && value !== null));
+}
+
+function isEnabled(level) {
+  return LEVELS[level] <= threshold;
+}
+
+// One redacted log line as a string, or null below the log level
+function formatEntry(level, message, fields = {}) {
+  if (!isEnabled(level)) {
+    return null;
+  }
+
+  const store = context.getStore();
+
+  return JSON.stringify(redact({
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...(store && { requestId: store.requestId }),
+    ...fields
+  }));
+}
+
+function write(level, message, fields) {
+  const line = formatEntry(level, message, fields);
+
+  if (line) {
+    process.stdout.write(`${line}\n`);
+  }
+}
+
+const logger = {
+  error: (message, fields) => write('error', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  debug: (message, fields) => write('debug', message, fields)
+};
+
+// Helper function for logging errors
+function logError(error, endpoint) {
+  logger.error(`Error in ${endpoint}`, { endpoint, error: serializeError(error) });
+}
+
+// Run the rest of a request with its own logging context. `fn` gets the
+// context so it can be read again once the response has finished.
+function runWithContext(requestId, fn) {
+  const store = { requestId, supabaseCalls: 0, supabaseMs: 0 };
+  return context.run(store, () => fn(store));
+}
+
+function currentContext() {
+  return context.getStore() || null;
+}
+
+module.exports = {
+  logger,
+  logError,
+  formatEntry,
+  isEnabled,
+  redact,
+  serializeError,
+  runWithContext,
+  currentContext
+};
@@ -0,0 +1,89 @@
+const { loginLockout: settings } = require('../config');
+
+// Progressive lockout for failed logins
+//
+// Failures are counted per email and per IP address. Once either passes its
+// limit, further attempts are refused until the lockout ends; every failure
+// past the limit doubles the lockout, up to maxLockoutMs. Counts are
+// forgotten after maxLockoutMs without a failure, and a successful login
+// clears its email's count. State is kept in memory, per server process.
+
+// 'email:<address>' or 'ip:<address>' -> { failures, lastFailure, lockedUntil }
+const attempts = new Map();
+
+// Entries kept before expired ones are swept
+const SWEEP_THRESHOLD = 10000;
+
+function keysFor(email, ip) {
+  return [
+    [`email:${String(email).trim().toLowerCase()}`, settings.maxFailuresPerEmail],
+    [`ip:${ip}`, settings.maxFailuresPerIp]
+  ];
+}
+
+function isExpired(record, now) {
+  return now - record.lastFailure > settings.maxLockoutMs && now >= record.lockedUntil;
+}
+
+function sweep(now) {
+  for (const [key, record] of attempts) {
+    if (isExpired(record, now)) {
+      attempts.delete(key);
+    }
+  }
+}
+
+// Milliseconds until this email and address may try again; 0 when not locked
+function lockoutRemaining(email, ip) {
+  const now = Date.now();
+  let remaining = 0;
+
+  for (const [key] of keysFor(email, ip)) {
+    const record = attempts.get(key);
+
+    if (record) {
+      remaining = Math.max(remaining, record.lockedUntil - now);
+    }
+  }
+
+  return remaining;
+}
+
+// Count a rejected password and lock the email or address once it has
+// failed too often
+function recordLoginFailure(email, ip) {
+  const now = Date.now();
+
+  if (attempts.size >= SWEEP_THRESHOLD) {
+    sweep(now);
+  }
+
+  for (const [key, maxFailures] of keysFor(email, ip)) {
+    let record = attempts.get(key);
+
+    if (!record || isExpired(record, now)) {
+      record = { failures: 0, lastFailure: now, lockedUntil: 0 };
+      attempts.set(key, record);
+    }
+
+    record.failures++;
+    record.lastFailure = now;
+
+    if (record.failures >= maxFailures) {
+      const lockout = settings.lockoutMs * 2 ** (record.failures - maxFailures);
+      record.lockedUntil = now + Math.min(lockout, settings.maxLockoutMs);
+    }
+  }
+}
+
+// Forget an email's failures after it logs in. The address keeps its count,
+// so one working account cannot be used to reset guessing from that address.
+function clearLoginFailures(email) {
+  attempts.delete(keysFor(email, null)[0][0]);
+}
+
+module.exports = {
+  lockoutRemaining,
+  recordLoginFailure,
+  clearLoginFailures
+};
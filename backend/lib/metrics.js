@@ -0,0 +1,223 @@
+const client = require('prom-client');
+const config = require('../config');
+const { cacheStats, cacheEntryAges } = require('./cache');
+const { circuitStates } = require('./resilience');
+
+// Prometheus metrics
+//
+// Recorded only with METRICS_ENABLED=true and served at GET /metrics (see
+// routes/metrics.js). Cache series are read from lib/cache.js at scrape time,
+// so the cache keeps its own counters whether or not metrics are enabled.
+
+const { enabled } = config.metrics;
+const register = new client.Registry();
+
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+if (enabled) {
+  client.collectDefaultMetrics({ register });
+}
+
+const requestCount = new client.Counter({
+  name: 'http_requests_total',
+  help: 'Requests handled, by route and status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register]
+});
+
+const requestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Time to respond, by route and status',
+  labelNames: ['method', 'route', 'status'],
+  buckets: LATENCY_BUCKETS,
+  registers: [register]
+});
+
+const supabaseDuration = new client.Histogram({
+  name: 'supabase_request_duration_seconds',
+  help: 'Latency of calls to Supabase, by table and operation',
+  labelNames: ['table', 'operation'],
+  buckets: LATENCY_BUCKETS,
+  registers: [register]
+});
+
+const supabaseErrors = new client.Counter({
+  name: 'supabase_request_errors_total',
+  help: 'Supabase calls that failed or returned an error status, by table and operation',
+  labelNames: ['table', 'operation'],
+  registers: [register]
+});
+
+// Share one in-progress call between the series read in the same scrape
+function shared(fn) {
+  let pending = null;
+
+  return () => {
+    pending = pending || fn().finally(() => {
+      pending = null;
+    });
+
+    return pending;
+  };
+}
+
+const readStats = shared(cacheStats);
+const readAges = shared(cacheEntryAges);
+
+// Cache series mirror the counters kept by lib/cache.js
+function cacheCounter(name, help, stat) {
+  return new client.Counter({
+    name,
+    help,
+    labelNames: ['table'],
+    registers: [register],
+    async collect() {
+      const { tables } = await readStats();
+
+      this.reset();
+
+      for (const [table, counters] of Object.entries(tables)) {
+        this.inc({ table }, counters[stat]);
+      }
+    }
+  });
+}
+
+cacheCounter('cache_hits_total', 'Queries answered from a fresh cache entry', 'hits');
+cacheCounter('cache_stale_hits_total', 'Queries answered from an expired entry while it was refreshed', 'staleHits');
+cacheCounter('cache_misses_total', 'Queries sent to Supabase', 'misses');
+cacheCounter('cache_fallbacks_total', 'Expired results served because Supabase was unavailable', 'fallbacks');
+cacheCounter('cache_errors_total', 'Cache store failures', 'errors');
+
+new client.Counter({
+  name: 'cache_evictions_total',
+  help: 'Entries evicted to keep the memory store under CACHE_MAX_ENTRIES',
+  registers: [register],
+  async collect() {
+    const { evictions } = await readStats();
+
+    this.reset();
+    this.inc(evictions || 0);
+  }
+});
+
+new client.Gauge({
+  name: 'cache_ttl_seconds',
+  help: 'Configured cache TTL per table',
+  labelNames: ['table'],
+  registers: [register],
+  async collect() {
+    const { tables } = await readStats();
+
+    for (const [table, { ttl }] of Object.entries(tables)) {
+      this.set({ table }, ttl / 1000);
+    }
+  }
+});
+
+new client.Gauge({
+  name: 'cache_entries',
+  help: 'Live cache entries per table',
+  labelNames: ['table'],
+  registers: [register],
+  async collect() {
+    for (const [table, { entries }] of Object.entries(await readAges())) {
+      this.set({ table }, entries);
+    }
+  }
+});
+
+new client.Gauge({
+  name: 'cache_oldest_entry_age_seconds',
+  help: 'Age of the oldest live cache entry per table',
+  labelNames: ['table'],
+  registers: [register],
+  async collect() {
+    for (const [table, { oldestMs }] of Object.entries(await readAges())) {
+      this.set({ table }, oldestMs / 1000);
+    }
+  }
+});
+
+new client.Gauge({
+  name: 'supabase_circuit_open',
+  help: 'Whether the circuit breaker for a Supabase service is open (1) or half-open (0.5)',
+  labelNames: ['service'],
+  registers: [register],
+  collect() {
+    for (const { service, state } of circuitStates()) {
+      this.set({ service }, state === 'open' ? 1 : state === 'half-open' ? 0.5 : 0);
+    }
+  }
+});
+
+// PostgREST operation for an HTTP method
+const REST_OPERATIONS = {
+  GET: 'select',
+  HEAD: 'count',
+  POST: 'insert',
+  PATCH: 'update',
+  PUT: 'upsert',
+  DELETE: 'delete'
+};
+
+function headerValue(headers, name) {
+  if (!headers) return '';
+  if (typeof headers.get === 'function') return headers.get(name) || '';
+
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name.toLowerCase());
+  return key ? String(headers[key]) : '';
+}
+
+// Table and operation of a Supabase call, from its URL path
+function describeCall(method, path, headers) {
+  const rest = /^\/rest\/v1\/(rpc\/)?([^/]+)/.exec(path);
+
+  if (rest && rest[1]) {
+    return { table: rest[2], operation: 'rpc' };
+  }
+
+  if (rest) {
+    const upsert = method === 'POST' && headerValue(headers, 'Prefer').includes('resolution=');
+    return { table: rest[2], operation: upsert ? 'upsert' : REST_OPERATIONS[method] || method.toLowerCase() };
+  }
+
+  const auth = /^\/auth\/v1\/([^/]+)/.exec(path);
+
+  if (auth) {
+    return { table: 'auth', operation: auth[1] };
+  }
+
+  return { table: 'other', operation: method.toLowerCase() };
+}
+
+// Record one finished request. `route` is the matched route pattern, never
+// the raw URL, to keep the number of series bounded.
+function observeRequest(method, route, status, seconds) {
+  if (!enabled) return;
+
+  const labels = { method, route, status: String(status) };
+
+  requestCount.inc(labels);
+  requestDuration.observe(labels, seconds);
+}
+
+// Record one call to Supabase. `status` is null when the call never got a
+// response.
+function observeSupabaseCall(method, path, headers, status, seconds) {
+  if (!enabled) return;
+
+  const labels = describeCall(method, path, headers);
+
+  supabaseDuration.observe(labels, seconds);
+
+  if (status === null || status >= 400) {
+    supabaseErrors.inc(labels);
+  }
+}
+
+module.exports = {
+  register,
+  observeRequest,
+  observeSupabaseCall
+};
@@ -0,0 +1,885 @@
+const { listTables, allowsOperation } = require('./tables');
+const { version } = require('../package.json');
+
+// OpenAPI 3 document for the running server
+//
+// Paths come from the routes actually registered on the Express app, so a
+// route can never be missing from the document. Each route is described by
+// the matching entry below; table routes are described once per registered
+// table using its column schema from config/tables.js. A route without a
+// description still appears, marked as undocumented; an entry of false
+// leaves a route out.
+
+const json = schema => ({ 'application/json': { schema } });
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const response = name => ({ $ref: `#/components/responses/${name}` });
+
+// Security requirements: a bearer token is required, or optional
+const REQUIRED_AUTH = [{ bearerAuth: [] }];
+const OPTIONAL_AUTH = [{}, { bearerAuth: [] }];
+
+// Route discovery
+
+// Mount path of a router layer, e.g. /api/data/:table
+function mountPath(layer) {
+  if (!layer.regexp || layer.regexp.fast_slash) return '';
+
+  let key = 0;
+
+  return layer.regexp.source
+    .replace(/^\^/, '')
+    .replace(/\\\/\?\(\?=\\\/\|\$\)$/, '')
+    .replace(/\(\?:(\\\/)?\(\[\^\\?\/\]\+\?\)\)/g, (match, slash) => `${slash ? '/' : ''}:${layer.keys[key++].name}`)
+    .replace(/\\(.)/g, '$1');
+}
+
+// Every method and path registered on a router stack, depth first
+function collectRoutes(stack, prefix = '', routes = []) {
+  for (const layer of stack) {
+    if (layer.route && typeof layer.route.path === 'string') {
+      const path = `${prefix}${layer.route.path}`.replace(/(.)\/$/, '$1');
+
+      for (const method of Object.keys(layer.route.methods).filter(name => name !== '_all')) {
+        routes.push({ method, path });
+      }
+    } else if (layer.name === 'router' && layer.handle.stack) {
+      collectRoutes(layer.handle.stack, `${prefix}${mountPath(layer)}`, routes);
+    }
+  }
+
+  return routes;
+}
+
+// Express path to OpenAPI path: /:id and /:ids(regex) become /{id}, /{ids}
+function toOpenApiPath(path) {
+  return path.replace(/:(\w+)(\([^)]*\))?/g, '{$1}');
+}
+
+// Schemas
+
+// JSON schema for one validation field spec (see lib/validation.js)
+function fieldSchema(spec) {
+  const schema = { type: spec.type || 'string' };
+
+  if (spec.format === 'url') schema.format = 'uri';
+  if (spec.format === 'email' || spec.format === 'date') schema.format = spec.format;
+  if (spec.maxLength !== undefined) schema.maxLength = spec.maxLength;
+  if (spec.min !== undefined) schema.minimum = spec.min;
+  if (spec.max !== undefined) schema.maximum = spec.max;
+  if (spec.enum) schema.enum = spec.enum;
+
+  return schema;
+}
+
+function schemaName(entry, suffix = '') {
+  const base = entry.name.split('_').map(part => part[0].toUpperCase() + part.slice(1)).join('');
+  return `${base}${suffix}`;
+}
+
+// Row, input (create) and patch (update) schemas for a table
+function tableSchemas(entry) {
+  const properties = {};
+  const required = [];
+
+  for (const [column, spec] of Object.entries(entry.schema || {})) {
+    properties[column] = fieldSchema(spec);
+    if (spec.required) required.push(column);
+  }
+
+  const input = { type: 'object', properties };
+
+  if (required.length > 0) input.required = required;
+  if (!entry.schema) input.additionalProperties = true;
+
+  const row = {
+    type: 'object',
+    properties: { [entry.primaryKey]: { readOnly: true }, ...properties },
+    additionalProperties: true
+  };
+
+  if (entry.softDelete) {
+    row.properties[entry.softDelete.column] = { type: 'string', format: 'date-time', nullable: true, readOnly: true };
+    row.properties[entry.softDelete.groupColumn] = { type: 'string', format: 'uuid', nullable: true, readOnly: true };
+  }
+
+  // Updates only change the fields they send, so nothing is required
+  const patch = entry.schema
+    ? { type: 'object', properties, minProperties: 1 }
+    : { type: 'object', additionalProperties: true };
+
+  return { [schemaName(entry)]: row, [schemaName(entry, 'Input')]: input, [schemaName(entry, 'Patch')]: patch };
+}
+
+const SHARED_SCHEMAS = {
+  Error: {
+    type: 'object',
+    required: ['error', 'code', 'requestId'],
+    properties: {
+      error: { type: 'string', description: 'Human readable message' },
+      code: { type: 'string', description: 'Stable error code, e.g. duplicate_key or not_found' },
+      requestId: { type: 'string', description: 'Same as the X-Request-Id response header' },
+      details: { type: 'string' },
+      reason: { type: 'string' }
+    },
+    additionalProperties: true
+  },
+  FieldError: {
+    type: 'object',
+    properties: {
+      field: { type: 'string', nullable: true },
+      code: {
+        type: 'string',
+        enum: ['required', 'invalid_type', 'too_long', 'too_small', 'too_large', 'invalid_enum', 'invalid_format', 'invalid_body', 'no_fields']
+      },
+      message: { type: 'string' }
+    }
+  },
+  ValidationError: {
+    allOf: [
+      ref('Error'),
+      { type: 'object', properties: { fields: { type: 'array', items: ref('FieldError') } } }
+    ]
+  },
+  PreconditionFailed: {
+    allOf: [
+      ref('Error'),
+      { type: 'object', properties: { current: { type: 'object', nullable: true, additionalProperties: true } } }
+    ]
+  },
+  Record: { type: 'object', additionalProperties: true },
+  Session: {
+    type: 'object',
+    properties: {
+      access_token: { type: 'string' },
+      refresh_token: { type: 'string' },
+      token_type: { type: 'string' },
+      expires_in: { type: 'integer' },
+      expires_at: { type: 'integer', nullable: true },
+      user: { type: 'object', additionalProperties: true }
+    }
+  },
+  Success: {
+    type: 'object',
+    properties: { success: { type: 'boolean' }, message: { type: 'string' } },
+    additionalProperties: true
+  },
+  BatchResult: {
+    type: 'object',
+    properties: {
+      index: { type: 'integer' },
+      op: { type: 'string', enum: ['create', 'update', 'delete'] },
+      id: {},
+      status: { type: 'integer' },
+      code: { type: 'string' },
+      row: { type: 'object', additionalProperties: true },
+      error: { type: 'string' },
+      fields: { type: 'array', items: ref('FieldError') }
+    }
+  },
+  ImportReport: {
+    type: 'object',
+    properties: {
+      dryRun: { type: 'boolean' },
+      total: { type: 'integer' },
+      valid: { type: 'integer' },
+      invalid: { type: 'integer' },
+      written: { type: 'integer' },
+      results: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            row: { type: 'integer' },
+            status: { type: 'string', enum: ['valid', 'invalid', 'inserted', 'upserted', 'failed', 'skipped'] },
+            errors: { type: 'array', items: ref('FieldError') }
+          }
+        }
+      }
+    }
+  }
+};
+
+const RESPONSES = {
+  BadRequest: { description: 'Invalid request', content: json(ref('Error')) },
+  Unauthorized: { description: 'Missing or invalid access token', content: json(ref('Error')) },
+  Forbidden: { description: 'The caller\'s role may not do this', content: json(ref('Error')) },
+  NotFound: { description: 'Not found', content: json(ref('Error')) },
+  NotAllowed: { description: 'Operation not enabled for this table', content: json(ref('Error')) },
+  Conflict: { description: 'Duplicate key or foreign key violation', content: json(ref('Error')) },
+  ValidationFailed: { description: 'Invalid fields', content: json(ref('ValidationError')) },
+  PreconditionFailed: { description: 'If-Match did not match the current version', content: json(ref('PreconditionFailed')) },
+  Unavailable: { description: 'Supabase is unavailable (circuit open) or did not answer in time', content: json(ref('Error')) },
+  TooManyRequests: {
+    description: 'Rate limit or login lockout reached',
+    headers: { 'Retry-After': { description: 'Seconds to wait before retrying', schema: { type: 'integer' } } },
+    content: json(ref('Error'))
+  },
+  ServerError: { description: 'Server or Supabase error', content: json(ref('Error')) }
+};
+
+// Parameters
+
+const query = (name, schema, description) => ({ name, in: 'query', schema, description });
+const pathParam = (name, description) => ({ name, in: 'path', required: true, schema: { type: 'string' }, description });
+const header = (name, description) => ({ name, in: 'header', schema: { type: 'string' }, description });
+
+// The id of DELETE /{id}, which also takes a list of IDs
+const ID_LIST_PARAM = {
+  ...pathParam('id', 'Record ID, or comma-separated integer IDs to delete several records'),
+  schema: { type: 'string', pattern: '^([^,]+|\\d+(,\\d+)+)$' },
+  examples: {
+    one: { value: '3', summary: 'One record' },
+    several: { value: '3,4,5', summary: 'Several records' }
+  }
+};
+
+const LIST_PARAMETERS = [
+  query('limit', { type: 'integer', minimum: 1, maximum: 1000, default: 100 }, 'Page size. Every list is paged, including the legacy /api/{table} lists; follow X-Next-Cursor for the rest.'),
+  query('offset', { type: 'integer', minimum: 0 }, 'Rows to skip'),
+  query('cursor', { type: 'string' }, 'X-Next-Cursor of the previous page (keyset paging)'),
+  query('sort', { type: 'string' }, 'Comma-separated columns, - for descending'),
+  query('select', { type: 'string' }, 'Comma-separated columns to return'),
+  {
+    name: 'filters',
+    in: 'query',
+    style: 'form',
+    explode: true,
+    schema: { type: 'object', additionalProperties: { type: 'string' } },
+    description: 'Column filters: Column=value or Column[op]=value (eq, neq, gt, gte, lt, lte, like, ilike, in, is)'
+  }
+];
+
+const HEADERS = {
+  total: { description: 'Rows matching the filters', schema: { type: 'integer' } },
+  etag: { description: 'Version of the row or page', schema: { type: 'string' } },
+  stale: { description: '"true" when served from cache because Supabase is unavailable (with Warning and Age)', schema: { type: 'string' } }
+};
+
+// Table routes, keyed by method and path below the table's prefix. Each
+// returns an operation for a table context:
+//   { entry, tag, row, input, params }
+// `entry` is null for the generic /api/data/{table} routes.
+const TABLE_OPERATIONS = {
+  'get ': ctx => ({
+    summary: `List records in ${ctx.tag}`,
+    parameters: [
+      ...LIST_PARAMETERS,
+      ...(ctx.soft ? [query('includeDeleted', { type: 'boolean' }, 'Include trashed rows')] : []),
+      header('If-None-Match', 'ETag of a previous page')
+    ],
+    security: OPTIONAL_AUTH,
+    responses: {
+      200: {
+        description: 'One page of rows',
+        headers: {
+          'X-Total-Count': HEADERS.total,
+          'Content-Range': { description: 'items first-last/total', schema: { type: 'string' } },
+          'X-Next-Cursor': { description: 'Cursor for the next page', schema: { type: 'string' } },
+          ETag: HEADERS.etag,
+          'X-Data-Stale': HEADERS.stale
+        },
+        content: json({ type: 'array', items: ctx.row })
+      },
+      304: { description: 'Not modified' },
+      400: response('BadRequest'),
+      403: response('Forbidden')
+    }
+  }),
+  'post ': ctx => ({
+    summary: `Create a record in ${ctx.tag}`,
+    requestBody: { required: true, content: json(ctx.input) },
+    security: REQUIRED_AUTH,
+    responses: {
+      201: { description: 'Created rows', headers: { ETag: HEADERS.etag }, content: json({ type: 'array', items: ctx.row }) },
+      401: response('Unauthorized'),
+      403: response('Forbidden'),
+      409: response('Conflict'),
+      422: response('ValidationFailed')
+    }
+  }),
+  'get /export': ctx => ({
+    summary: `Export records from ${ctx.tag}`,
+    description: 'Streams every matching row. Takes the list sort, select and filter parameters.',
+    parameters: [
+      query('format', { type: 'string', enum: ['csv', 'json', 'ndjson', 'xlsx'], default: 'csv' }),
+      query('filename', { type: 'string' }, 'Download file name'),
+      ...LIST_PARAMETERS.filter(parameter => !['limit', 'offset', 'cursor'].includes(parameter.name))
+    ],
+    security: OPTIONAL_AUTH,
+    responses: {
+      200: {
+        description: 'The exported file',
+        content: {
+          'text/csv': { schema: { type: 'string' } },
+          'application/json': { schema: { type: 'array', items: ctx.row } },
+          'application/x-ndjson': { schema: { type: 'string' } },
+          'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { schema: { type: 'string', format: 'binary' } }
+        }
+      },
+      400: response('BadRequest')
+    }
+  }),
+  'post /import': ctx => ({
+    summary: `Import records into ${ctx.tag} from CSV or JSON`,
+    parameters: [
+      query('dryRun', { type: 'boolean' }, 'Validate only'),
+      query('skipInvalid', { type: 'boolean' }, 'Import valid rows even when some are invalid'),
+      query('upsert', { type: 'boolean' }, 'Update rows matching onConflict'),
+      query('onConflict', { type: 'string' }, 'Comma-separated upsert key columns (default: primary key)')
+    ],
+    requestBody: {
+      required: true,
+      content: {
+        'text/csv': { schema: { type: 'string' } },
+        'application/json': {
+          schema: {
+            oneOf: [
+              { type: 'array', items: ref('Record') },
+              {
+                type: 'object',
+                properties: {
+                  rows: { type: 'array', items: ref('Record') },
+                  mapping: { type: 'object', additionalProperties: { type: 'string' } }
+                }
+              }
+            ]
+          }
+        }
+      }
+    },
+    security: REQUIRED_AUTH,
+    responses: {
+      200: { description: 'Import report', content: json(ref('ImportReport')) },
+      400: response('BadRequest'),
+      401: response('Unauthorized'),
+      403: response('Forbidden'),
+      413: response('BadRequest'),
+      422: { description: 'Invalid rows; nothing was imported', content: json({ allOf: [ref('Error'), ref('ImportReport')] }) }
+    }
+  }),
+  'post /batch': ctx => ({
+    summary: `Apply several creates, updates and deletes to ${ctx.tag}`,
+    parameters: [query('atomic', { type: 'boolean' }, 'All operations or none')],
+    requestBody: {
+      required: true,
+      content: json({
+        type: 'object',
+        required: ['operations'],
+        properties: {
+          atomic: { type: 'boolean' },
+          operations: {
+            type: 'array',
+            maxItems: 500,
+            items: {
+              type: 'object',
+              required: ['op'],
+              properties: {
+                op: { type: 'string', enum: ['create', 'update', 'delete'] },
+                id: {},
+                data: { allOf: [ctx.patch], description: 'The record for creates (required fields apply); only the fields to change for updates' }
+              }
+            }
+          }
+        }
+      })
+    },
+    security: REQUIRED_AUTH,
+    responses: {
+      200: {
+        description: 'Every operation succeeded',
+        content: json({
+          type: 'object',
+          properties: {
+            atomic: { type: 'boolean' },
+            success: { type: 'boolean' },
+            group: { type: 'string', description: 'Delete group on soft-delete tables' },
+            results: { type: 'array', items: ref('BatchResult') }
+          }
+        })
+      },
+      207: { description: 'Some operations failed', content: json({ type: 'object', additionalProperties: true }) },
+      400: response('BadRequest'),
+      401: response('Unauthorized'),
+      422: { description: 'Atomic batch rejected', content: json({ allOf: [ref('Error'), { type: 'object', properties: { results: { type: 'array', items: ref('BatchResult') } } }] }) },
+      501: { description: 'Atomic batch requested but the batch_apply function is not installed', content: json(ref('Error')) }
+    }
+  }),
+  'get /stream': ctx => ({
+    summary: `Stream changes to ${ctx.tag} (Server-Sent Events)`,
+    description: 'insert, update and delete events carrying the changed row, limited to rows the caller may read. Resume with Last-Event-ID; a reset event means the table must be reloaded.',
+    parameters: [
+      header('Last-Event-ID', 'Id of the last event received'),
+      query('lastEventId', { type: 'string' }, 'Same as Last-Event-ID')
+    ],
+    security: OPTIONAL_AUTH,
+    responses: {
+      200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+      403: response('Forbidden'),
+      404: response('NotFound')
+    }
+  }),
+  'get /trash': ctx => ({
+    summary: `List trashed records in ${ctx.tag}`,
+    parameters: LIST_PARAMETERS,
+    security: OPTIONAL_AUTH,
+    responses: {
+      200: {
+        description: 'Trashed rows',
+        headers: { 'X-Purge-Before': { description: 'Rows deleted before this time are purged next', schema: { type: 'string' } } },
+        content: json({ type: 'array', items: ctx.row })
+      },
+      404: response('NotFound')
+    }
+  }),
+  'delete /trash': ctx => ({
+    summary: `Purge trashed records in ${ctx.tag} past the retention period`,
+    security: REQUIRED_AUTH,
+    responses: {
+      200: {
+        description: 'Purged',
+        content: json({ type: 'object', properties: { success: { type: 'boolean' }, purged: { type: 'integer' }, before: { type: 'string' } } })
+      },
+      401: response('Unauthorized'),
+      403: response('Forbidden'),
+      404: response('NotFound')
+    }
+  }),
+  'post /trash/restore': ctx => ({
+    summary: `Restore trashed records in ${ctx.tag}`,
+    requestBody: {
+      required: true,
+      content: json({
+        type: 'object',
+        properties: { ids: { type: 'array', items: {} }, group: { type: 'string' } },
+        description: 'Either ids or the group returned by the delete'
+      })
+    },
+    security: REQUIRED_AUTH,
+    responses: {
+      200: {
+        description: 'Restored rows',
+        content: json({ type: 'object', properties: { success: { type: 'boolean' }, restored: { type: 'integer' }, rows: { type: 'array', items: ctx.row } } })
+      },
+      400: response('BadRequest'),
+      401: response('Unauthorized'),
+      403: response('Forbidden'),
+      404: response('NotFound')
+    }
+  }),
+  'get /{id}': ctx => ({
+    summary: `Get a record from ${ctx.tag}`,
+    parameters: [
+      ...(ctx.soft ? [query('includeDeleted', { type: 'boolean' }, 'Also find trashed rows')] : []),
+      header('If-None-Match', 'ETag of a previous read')
+    ],
+    security: OPTIONAL_AUTH,
+    responses: {
+      200: { description: 'The row', headers: { ETag: HEADERS.etag, 'X-Data-Stale': HEADERS.stale }, content: json(ctx.row) },
+      304: { description: 'Not modified' },
+      403: response('Forbidden'),
+      404: response('NotFound')
+    }
+  }),
+  'put /{id}': ctx => ({
+    summary: `Update a record in ${ctx.tag}`,
+    description: 'Only the fields in the body are validated and changed; the others keep their values.',
+    parameters: [header('If-Match', 'Only update if the row is still at this ETag')],
+    requestBody: { required: true, content: json(ctx.patch) },
+    security: REQUIRED_AUTH,
+    responses: {
+      200: { description: 'Updated rows', headers: { ETag: HEADERS.etag }, content: json({ type: 'array', items: ctx.row }) },
+      401: response('Unauthorized'),
+      403: response('Forbidden'),
+      404: response('NotFound'),
+      409: response('Conflict'),
+      412: response('PreconditionFailed'),
+      422: response('ValidationFailed')
+    }
+  }),
+  'delete /{id}': ctx => ({
+    summary: `Delete one record, or several by comma-separated IDs, from ${ctx.tag}`,
+    description: 'The id may be a comma-separated list of integer IDs (e.g. 3,4,5) to delete several records at once. ' +
+      'Every entry must be a plain integer, otherwise nothing is deleted and the response is 400 invalid_ids.' +
+      (ctx.soft ? ' Deleted rows go to the trash; the response carries the delete group for restoring them.' : ''),
+    parameters: [header('If-Match', 'Only delete if the row is still at this ETag (single record only)')],
+    security: REQUIRED_AUTH,
+    responses: {
+      200: { description: 'Deleted', content: json(ref('Success')) },
+      400: response('BadRequest'),
+      401: response('Unauthorized'),
+      403: response('Forbidden'),
+      409: response('Conflict'),
+      412: response('PreconditionFailed')
+    }
+  })
+};
+
+// Registry operation each table route needs, for tables that disable some
+const ROUTE_OPERATIONS = {
+  'get ': 'list',
+  'post ': 'create',
+  'get /export': 'list',
+  'post /import': 'create',
+  'get /stream': 'list',
+  'get /trash': 'list',
+  'delete /trash': 'delete',
+  'post /trash/restore': 'delete',
+  'get /{id}': 'read',
+  'put /{id}': 'update',
+  'delete /{id}': 'delete'
+};
+
+// Whether a table route exists for a registered table
+function tableHasRoute(entry, key) {
+  if (!entry) return true;
+  if (key.includes('/trash') && !entry.softDelete) return false;
+  if (key === 'get /stream' && !entry.stream) return false;
+  return !ROUTE_OPERATIONS[key] || allowsOperation(entry, ROUTE_OPERATIONS[key]);
+}
+
+const tableParam = {
+  name: 'table',
+  in: 'path',
+  required: true,
+  schema: { type: 'string', enum: listTables().map(entry => entry.name) }
+};
+
+const OPERATIONS = {
+  'get /': {
+    tags: ['Server'],
+    summary: 'Health check',
+    responses: { 200: { description: 'Server status', content: json(ref('Record')) } }
+  },
+  'get /healthz': {
+    tags: ['Server'],
+    summary: 'Liveness probe: the process is up',
+    responses: { 200: { description: 'Alive', content: json(ref('Record')) } }
+  },
+  'get /readyz': {
+    tags: ['Server'],
+    summary: 'Readiness probe: Supabase database, Auth and cache store checks',
+    responses: {
+      200: { description: 'Ready (status ok), or degraded without Auth or the cache store', content: json(ref('Record')) },
+      503: { description: 'Still starting (status starting), or the database cannot be reached', content: json(ref('Record')) }
+    }
+  },
+  'get /api/docs': {
+    tags: ['Server'],
+    summary: 'Interactive API docs (Swagger UI)',
+    responses: { 301: { description: 'Redirect to /api/docs/' }, 200: { description: 'Docs page', content: { 'text/html': { schema: { type: 'string' } } } } }
+  },
+  'get /api/docs/swagger-initializer.js': false,
+  'get /api/openapi.json': {
+    tags: ['Server'],
+    summary: 'This OpenAPI document',
+    responses: { 200: { description: 'OpenAPI 3 document', content: json(ref('Record')) } }
+  },
+  'get /metrics': {
+    tags: ['Server'],
+    summary: 'Prometheus metrics (with METRICS_ENABLED)',
+    security: [{ metricsToken: [] }],
+    responses: {
+      200: { description: 'Prometheus text format', content: { 'text/plain': { schema: { type: 'string' } } } },
+      401: response('Unauthorized')
+    }
+  },
+  'get /api/diagnostics': {
+    tags: ['Server'],
+    summary: 'Connectivity, table and cache report (admins only, with DIAGNOSTICS_ENABLED)',
+    security: REQUIRED_AUTH,
+    responses: {
+      200: {
+        description: 'Supabase database and Auth checks with latency, resolved table names and row counts, cache counters',
+        content: json(ref('Record'))
+      },
+      401: response('Unauthorized'),
+      403: response('Forbidden')
+    }
+  },
+  'post /api/auth/login': {
+    tags: ['Auth'],
+    summary: 'Sign in with email and password',
+    requestBody: {
+      required: true,
+      content: json({
+        type: 'object',
+        required: ['email', 'password'],
+        properties: { email: { type: 'string', format: 'email' }, password: { type: 'string' } }
+      })
+    },
+    responses: {
+      200: { description: 'New session', content: json({ type: 'object', properties: { session: ref('Session') } }) },
+      400: response('BadRequest'),
+      401: response('Unauthorized')
+    }
+  },
+  'post /api/auth/refresh': {
+    tags: ['Auth'],
+    summary: 'Exchange a refresh token for a new session',
+    requestBody: {
+      required: true,
+      content: json({ type: 'object', required: ['refresh_token'], properties: { refresh_token: { type: 'string' } } })
+    },
+    responses: {
+      200: { description: 'New session', content: json({ type: 'object', properties: { session: ref('Session') } }) },
+      400: response('BadRequest'),
+      401: response('Unauthorized')
+    }
+  },
+  'get /api/auth/session': {
+    tags: ['Auth'],
+    summary: 'The caller\'s own session',
+    security: REQUIRED_AUTH,
+    responses: {
+      200: { description: 'Session', content: json({ type: 'object', properties: { session: ref('Session') } }) },
+      401: response('Unauthorized')
+    }
+  },
+  'post /api/auth/logout': {
+    tags: ['Auth'],
+    summary: 'Revoke the caller\'s session',
+    security: REQUIRED_AUTH,
+    responses: {
+      200: { description: 'Signed out', content: json(ref('Success')) },
+      401: response('Unauthorized')
+    }
+  },
+  'post /api/clear-cache': {
+    tags: ['Cache'],
+    summary: 'Clear the cache of every table or one table (admins only)',
+    parameters: [query('table', { type: 'string', enum: listTables().map(entry => entry.name) })],
+    security: REQUIRED_AUTH,
+    responses: {
+      200: { description: 'Cleared', content: json(ref('Success')) },
+      401: response('Unauthorized'),
+      403: response('Forbidden'),
+      404: response('NotFound')
+    }
+  },
+  'get /api/cache-stats': {
+    tags: ['Cache'],
+    summary: 'Cache size and hit/miss counters per table (admins only)',
+    security: REQUIRED_AUTH,
+    responses: {
+      200: { description: 'Stats', content: json(ref('Record')) },
+      401: response('Unauthorized'),
+      403: response('Forbidden')
+    }
+  },
+  'get /api/schema': {
+    tags: ['Schema'],
+    summary: 'Tables, columns and keys from the database catalog',
+    security: OPTIONAL_AUTH,
+    responses: {
+      200: { description: 'Every registered table the caller may list', content: json({ type: 'object', properties: { tables: { type: 'array', items: ref('Record') } } }) },
+      501: { description: 'get_schema function not installed', content: json(ref('Error')) }
+    }
+  },
+  'get /api/schema/{table}': {
+    tags: ['Schema'],
+    summary: 'One table from the database catalog',
+    parameters: [pathParam('table', 'Registered or real table name')],
+    security: OPTIONAL_AUTH,
+    responses: {
+      200: { description: 'The table', content: json(ref('Record')) },
+      403: response('Forbidden'),
+      404: response('NotFound'),
+      501: { description: 'get_schema function not installed', content: json(ref('Error')) }
+    }
+  },
+  'get /api/query/{table}': {
+    tags: ['Query'],
+    summary: 'Query a table with the filter language',
+    parameters: [
+      pathParam('table', 'Registered or real table name'),
+      query('select', { type: 'string', default: '*' }),
+      query('order_by', { type: 'string', default: 'id' }),
+      query('order_direction', { type: 'string', enum: ['asc', 'desc'], default: 'asc' }),
+      query('limit', { type: 'integer', minimum: 1, maximum: 1000, default: 100 }),
+      query('filter', { type: 'string' }, 'e.g. Department.eq.CS,or(Rank.eq.Full,Rank.eq.Associate)')
+    ],
+    security: OPTIONAL_AUTH,
+    responses: {
+      200: { description: 'Matching rows', content: json({ type: 'array', items: ref('Record') }) },
+      400: { description: 'Invalid parameters or filter', content: json(ref('Error')) },
+      403: response('Forbidden'),
+      404: response('NotFound')
+    }
+  },
+  'get /api/search': {
+    tags: ['Search'],
+    summary: 'Search every registered table',
+    parameters: [
+      { ...query('q', { type: 'string', minLength: 2, maxLength: 200 }, 'Search terms'), required: true },
+      query('limit', { type: 'integer', minimum: 1, maximum: 50, default: 5 }, 'Hits per table'),
+      query('tables', { type: 'string' }, 'Comma-separated tables to search')
+    ],
+    security: OPTIONAL_AUTH,
+    responses: {
+      200: {
+        description: 'Hits grouped by table',
+        content: json({
+          type: 'object',
+          properties: {
+            query: { type: 'string' },
+            searched: { type: 'array', items: { type: 'string' } },
+            results: { type: 'array', items: ref('Record') }
+          }
+        })
+      },
+      400: response('BadRequest')
+    }
+  },
+  'get /api/audit': {
+    tags: ['Audit'],
+    summary: 'Audit trail of data changes (admins only)',
+    parameters: [
+      query('table', { type: 'string' }),
+      query('row', { type: 'string' }, 'Row id (needs table)'),
+      query('user', { type: 'string', format: 'uuid' }, 'Actor id'),
+      query('from', { type: 'string', format: 'date-time' }),
+      query('to', { type: 'string', format: 'date-time' }),
+      query('limit', { type: 'integer', minimum: 1, maximum: 1000, default: 100 }),
+      query('offset', { type: 'integer', minimum: 0 })
+    ],
+    security: REQUIRED_AUTH,
+    responses: {
+      200: { description: 'Entries, newest first', headers: { 'X-Total-Count': HEADERS.total }, content: json({ type: 'array', items: ref('Record') }) },
+      400: response('BadRequest'),
+      401: response('Unauthorized'),
+      403: response('Forbidden')
+    }
+  }
+};
+
+// Table context for a path, or null when it is not a table route
+function tableContext(routePath) {
+  const generic = routePath.match(/^\/api\/data\/\{table\}(.*)$/);
+
+  if (generic) {
+    return {
+      suffix: generic[1],
+      entry: null,
+      tag: 'a table',
+      tagName: 'Tables',
+      row: ref('Record'),
+      input: ref('Record'),
+      patch: ref('Record'),
+      params: [tableParam],
+      soft: true
+    };
+  }
+
+  for (const entry of listTables()) {
+    const prefix = `/api/${entry.name}`;
+
+    if (routePath === prefix || routePath.startsWith(`${prefix}/`)) {
+      return {
+        suffix: routePath.slice(prefix.length),
+        entry,
+        tag: entry.name,
+        tagName: entry.name,
+        row: ref(schemaName(entry)),
+        input: ref(schemaName(entry, 'Input')),
+        patch: ref(schemaName(entry, 'Patch')),
+        params: [],
+        soft: !!entry.softDelete
+      };
+    }
+  }
+
+  return null;
+}
+
+function describeRoute(method, routePath) {
+  const ctx = tableContext(routePath);
+
+  if (!ctx) {
+    const key = `${method} ${routePath}`;
+    return key in OPERATIONS ? OPERATIONS[key] : null;
+  }
+
+  // OpenAPI cannot tell /{id} from /{ids}, so bulk deletes share the
+  // single-record path and its id parameter documents both forms
+  const key = `${method} ${ctx.suffix.replace('{ids}', '{id}')}`;
+  const build = TABLE_OPERATIONS[key];
+
+  if (!build) return null;
+  if (!tableHasRoute(ctx.entry, key)) return false;
+
+  const operation = build(ctx);
+  const idParam = !ctx.suffix.includes('{') ? []
+    : key === 'delete /{id}' ? [ID_LIST_PARAM]
+      : [pathParam('id', 'Record ID')];
+
+  return {
+    tags: [ctx.tagName],
+    ...operation,
+    parameters: [...ctx.params, ...idParam, ...(operation.parameters || [])]
+  };
+}
+
+// Build the document from the app's registered routes
+function buildSpec(app) {
+  const paths = {};
+  const schemas = { ...SHARED_SCHEMAS };
+
+  for (const entry of listTables()) {
+    Object.assign(schemas, tableSchemas(entry));
+  }
+
+  for (const route of collectRoutes(app._router.stack)) {
+    const openApiPath = toOpenApiPath(route.path).replace('{ids}', '{id}');
+    const operation = describeRoute(route.method, openApiPath);
+
+    // false: left out on purpose, e.g. the table has the route turned off
+    if (operation === false) continue;
+
+    paths[openApiPath] = paths[openApiPath] || {};
+
+    if (paths[openApiPath][route.method]) continue;
+
+    const described = operation || {
+      tags: ['Other'],
+      summary: 'Undocumented route',
+      responses: { default: { description: 'Response' } }
+    };
+
+    // Every /api route is rate limited, and all but the server's own routes
+    // depend on Supabase
+    const responses = { ...described.responses };
+
+    if (openApiPath.startsWith('/api/')) {
+      responses[429] = response('TooManyRequests');
+
+      if (!described.tags.includes('Server')) {
+        responses[503] = response('Unavailable');
+      }
+    }
+
+    paths[openApiPath][route.method] = { ...described, responses };
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Supabase Data Viewer API',
+      version,
+      description: 'Backend proxy for the Supabase Data Viewer. Send the access token from /api/auth/login as a bearer token.'
+    },
+    paths,
+    components: {
+      schemas,
+      responses: RESPONSES,
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+        metricsToken: { type: 'http', scheme: 'bearer', description: 'METRICS_TOKEN' }
+      }
+    }
+  };
+}
+
+module.exports = {
+  collectRoutes,
+  buildSpec
+};
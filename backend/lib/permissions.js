@@ -0,0 +1,44 @@
+const policy = require('../config/permissions');
+
+// Resolve the caller's role from their token claims
+function resolveRole(user) {
+  if (!user) {
+    return policy.anonymousRole;
+  }
+
+  const candidates = [
+    user.app_metadata && user.app_metadata.role,
+    user.user_role
+  ];
+
+  const role = candidates.find(candidate => candidate && policy.roles[candidate]);
+
+  return role || policy.defaultRole;
+}
+
+// Check whether a role may perform an operation on a table.
+// Returns null when allowed, otherwise a machine-readable denial reason.
+function checkPermission(role, table, operation) {
+  const rules = policy.roles[role];
+
+  if (!rules) {
+    return 'unknown_role';
+  }
+
+  const operations = rules[table] || rules['*'];
+
+  if (!operations) {
+    return 'table_not_permitted';
+  }
+
+  if (!operations.includes('*') && !operations.includes(operation)) {
+    return 'operation_not_permitted';
+  }
+
+  return null;
+}
+
+module.exports = {
+  resolveRole,
+  checkPermission
+};
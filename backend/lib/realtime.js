@@ -0,0 +1,76 @@
+const { listTables } = require('./tables');
+const { clearCache } = require('./cache');
+const { publish, isEcho } = require('./changeFeed');
+const { logger, logError } = require('./logger');
+
+// Supabase realtime bridge
+//
+// Subscribes to Postgres changes on every registered table so edits made
+// outside this proxy (the Supabase dashboard, other services) invalidate the
+// cache and, for streamed tables, reach the SSE streams. The tables must be in
+// the supabase_realtime publication, and the anon key only receives changes
+// that row-level security lets it read.
+
+const EVENT_TYPES = { INSERT: 'insert', UPDATE: 'update', DELETE: 'delete' };
+
+const CHANNEL = 'proxy-changes';
+
+// Event type for a change. On soft-delete tables, moving a row to or from the
+// trash is an update in Postgres but a delete or insert for clients.
+function eventType(entry, payload) {
+  const type = EVENT_TYPES[payload.eventType];
+
+  if (type !== 'update' || !entry.softDelete) return type;
+
+  const { column } = entry.softDelete;
+  const wasDeleted = !!(payload.old && payload.old[column]);
+  const isDeleted = !!(payload.new && payload.new[column]);
+
+  if (isDeleted && !wasDeleted) return 'delete';
+  if (wasDeleted && !isDeleted) return 'insert';
+  return isDeleted ? null : type;
+}
+
+async function handleChange(entry, payload) {
+  const type = eventType(entry, payload);
+  const row = payload.eventType === 'DELETE' ? payload.old : payload.new;
+
+  await clearCache(entry.name);
+
+  if (!type || !entry.stream) return;
+
+  // Our own writes were already published when they were made
+  if (isEcho(entry.name, type, row)) return;
+
+  publish(entry.name, {
+    type,
+    row,
+    old: type === 'insert' ? null : payload.old || null,
+    source: 'realtime'
+  });
+}
+
+// Start listening. Returns the channel so it can be removed on shutdown.
+function startRealtime(client) {
+  let channel = client.channel(CHANNEL);
+
+  for (const entry of listTables()) {
+    channel = channel.on(
+      'postgres_changes',
+      { event: '*', schema: 'public', table: entry.table },
+      payload => handleChange(entry, payload).catch(error => logError(error, `realtime (${entry.name})`))
+    );
+  }
+
+  return channel.subscribe((status, error) => {
+    if (error || status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+      logError(error || new Error(status), 'realtime subscribe');
+    } else if (status === 'SUBSCRIBED') {
+      logger.info('Listening for Supabase realtime changes');
+    }
+  });
+}
+
+module.exports = {
+  startRealtime
+};
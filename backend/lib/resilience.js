@@ -0,0 +1,237 @@
+const { upstream: settings } = require('../config');
+const { logger } = require('./logger');
+
+// Resilient calls to Supabase
+//
+// Every Supabase request (see supabaseFetch in lib/supabase.js) goes through
+// resilientFetch:
+//
+// - Each attempt is aborted after a timeout (longer for writes).
+// - Reads (GET, HEAD) are retried on network errors, timeouts and 502/503/504
+//   after a random delay that grows with each attempt. Writes are never
+//   retried, since the first attempt may have been applied.
+// - A circuit breaker per service (rest, auth, ...) opens after repeated
+//   failures and then fails calls at once instead of letting them queue.
+//   After a cooldown one trial call is let through; its result closes or
+//   reopens the breaker.
+//
+// Failures surface as errors with a stable `code` (circuit_open,
+// upstream_timeout, upstream_unavailable, upstream_bad_gateway, or the
+// network error's own code), which supabase-js passes on in its { error }
+// results. A 502/503/504 on the last attempt is one of these errors too,
+// never a response, so callers can fall back instead of failing with a 500.
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD'];
+const RETRY_STATUSES = [502, 503, 504];
+
+// Error code for a gateway status that outlasted every attempt
+const GATEWAY_CODES = { 502: 'upstream_bad_gateway', 503: 'upstream_unavailable', 504: 'upstream_timeout' };
+
+// Network errors worth retrying and counting against the breaker
+const NETWORK_ERRORS = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+// Codes of errors that mean Supabase could not be reached or did not answer,
+// including PostgREST's own "cannot reach the database" errors and Supabase
+// Auth failing to verify a token (see middleware/auth.js)
+const UPSTREAM_CODES = ['circuit_open', 'upstream_timeout', 'upstream_unavailable', 'upstream_bad_gateway', 'auth_unavailable', ...NETWORK_ERRORS, 'PGRST000', 'PGRST001', 'PGRST002', 'PGRST003'];
+
+class UpstreamError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.code = code;
+  }
+}
+
+class CircuitBreaker {
+  constructor(name, { threshold, cooldownMs }) {
+    this.name = name;
+    this.threshold = threshold;
+    this.cooldownMs = cooldownMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = 0;
+    this.trialInFlight = false;
+  }
+
+  // Whether a call may go ahead now
+  allow() {
+    if (this.state === 'closed') return true;
+
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half-open';
+    }
+
+    if (this.state === 'half-open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  // Milliseconds until the next trial call, while open
+  retryAfterMs() {
+    return this.state === 'closed' ? 0 : Math.max(0, this.openedAt + this.cooldownMs - Date.now());
+  }
+
+  success() {
+    if (this.state !== 'closed') {
+      logger.info('Supabase circuit closed', { service: this.name });
+    }
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.trialInFlight = false;
+  }
+
+  // The call ended without saying anything about Supabase's health
+  release() {
+    this.trialInFlight = false;
+  }
+
+  failure() {
+    this.failures++;
+    this.trialInFlight = false;
+
+    if (this.state === 'half-open' || (this.state === 'closed' && this.failures >= this.threshold)) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      logger.warn('Supabase circuit opened', { service: this.name, failures: this.failures, cooldownMs: this.cooldownMs });
+    }
+  }
+}
+
+const breakers = new Map();
+
+function breakerFor(service) {
+  if (!breakers.has(service)) {
+    breakers.set(service, new CircuitBreaker(service, {
+      threshold: settings.breakerThreshold,
+      cooldownMs: settings.breakerCooldownMs
+    }));
+  }
+
+  return breakers.get(service);
+}
+
+// rest, auth, storage, ... from /rest/v1/<table>
+function serviceOf(url) {
+  return new URL(String(url)).pathname.split('/')[1] || 'other';
+}
+
+// Whether an error (thrown, or returned by supabase-js) means Supabase was
+// unreachable rather than that it refused the request
+function isUpstreamError(error) {
+  return !!error && UPSTREAM_CODES.includes(error.code);
+}
+
+function isFailedResponse(response) {
+  return RETRY_STATUSES.includes(response.status);
+}
+
+// Random delay in [0, base * 2^attempt], capped ("full jitter")
+function backoffMs(attempt) {
+  return Math.random() * Math.min(settings.retryMaxDelayMs, settings.retryBaseMs * 2 ** attempt);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// One attempt, aborted after timeoutMs. The caller's own abort signal still
+// works.
+async function attempt(fetchOnce, url, options, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const abortWithCaller = () => controller.abort();
+
+  if (options.signal) {
+    if (options.signal.aborted) controller.abort();
+    options.signal.addEventListener('abort', abortWithCaller);
+  }
+
+  try {
+    return await fetchOnce(url, { ...options, signal: controller.signal });
+  } catch (error) {
+    if (error.name === 'AbortError' && !(options.signal && options.signal.aborted)) {
+      throw new UpstreamError(`Supabase did not answer within ${timeoutMs}ms`, 'upstream_timeout');
+    }
+
+    throw error;
+  } finally {
+    clearTimeout(timer);
+
+    if (options.signal) {
+      options.signal.removeEventListener('abort', abortWithCaller);
+    }
+  }
+}
+
+// fetch(url, options) through the timeout, retry and circuit breaker rules
+// above. `fetchOnce` makes a single attempt.
+async function resilientFetch(fetchOnce, url, options = {}) {
+  const method = (options.method || 'GET').toUpperCase();
+  const idempotent = IDEMPOTENT_METHODS.includes(method);
+  const timeoutMs = idempotent ? settings.timeoutMs : settings.writeTimeoutMs;
+  const breaker = breakerFor(serviceOf(url));
+  const attempts = idempotent ? settings.retries + 1 : 1;
+
+  for (let index = 0; index < attempts; index++) {
+    if (!breaker.allow()) {
+      throw new UpstreamError(`Supabase ${breaker.name} is unavailable; calls resume in ${Math.ceil(breaker.retryAfterMs() / 1000)}s`, 'circuit_open');
+    }
+
+    const last = index === attempts - 1;
+    let response;
+
+    try {
+      response = await attempt(fetchOnce, url, options, timeoutMs);
+    } catch (error) {
+      if (!isUpstreamError(error)) {
+        // Aborted by the caller, or a bug: not Supabase's fault
+        breaker.release();
+        throw error;
+      }
+
+      breaker.failure();
+
+      if (last) throw error;
+    }
+
+    if (response) {
+      if (!isFailedResponse(response)) {
+        breaker.success();
+        return response;
+      }
+
+      breaker.failure();
+
+      // Free the connection of the response being discarded
+      response.body.resume();
+
+      if (last) {
+        throw new UpstreamError(`Supabase ${breaker.name} answered ${response.status}`, GATEWAY_CODES[response.status]);
+      }
+    }
+
+    await sleep(backoffMs(index));
+  }
+}
+
+// State of every breaker used so far, e.g. for diagnostics and metrics
+function circuitStates() {
+  return Array.from(breakers.values()).map(breaker => ({
+    service: breaker.name,
+    state: breaker.state,
+    failures: breaker.failures,
+    retryAfterMs: breaker.retryAfterMs()
+  }));
+}
+
+module.exports = {
+  UpstreamError,
+  isUpstreamError,
+  resilientFetch,
+  circuitStates
+};
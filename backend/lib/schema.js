@@ -0,0 +1,107 @@
+const { listTables, findTable, setRealTable } = require('./tables');
+const { logger, logError } = require('./logger');
+
+// Database schema from the Postgres catalog
+//
+// The get_schema function (see sql/get_schema.sql) describes every table the
+// caller may read: columns with their Postgres types, nullability and
+// defaults, primary keys and foreign keys. At startup it is also used to
+// resolve the real name of each registered table once, so handlers never
+// have to guess between casings such as Event and event.
+
+const SCHEMA_FUNCTION = 'get_schema';
+
+class SchemaUnavailableError extends Error {}
+
+// Set once resolveTables has finished; /readyz waits for it
+let resolved = false;
+
+// Every table and view the client may read
+async function fetchSchema(client) {
+  const { data, error } = await client.rpc(SCHEMA_FUNCTION);
+
+  if (error) {
+    // PGRST202: function not found
+    if (error.code === 'PGRST202') {
+      throw new SchemaUnavailableError(`The ${SCHEMA_FUNCTION} function is not installed; run sql/get_schema.sql`);
+    }
+    throw error;
+  }
+
+  return data || [];
+}
+
+// Catalog table for a registry name: the exact name, else the only table
+// whose name matches ignoring case
+function matchTable(name, tables) {
+  const exact = tables.find(table => table.name === name);
+
+  if (exact) return exact;
+
+  const folded = tables.filter(table => table.name.toLowerCase() === name.toLowerCase());
+  return folded.length === 1 ? folded[0] : null;
+}
+
+// Without the schema function, check the configured name and its lowercase
+// form directly
+async function probeTable(client, name) {
+  for (const candidate of Array.from(new Set([name, name.toLowerCase()]))) {
+    const { error } = await client.from(candidate).select('*').limit(0);
+
+    if (!error) return candidate;
+  }
+
+  return null;
+}
+
+// Resolve the real name of every registered table. Tables that cannot be
+// resolved keep their configured name and are reported in the log.
+async function resolveTables(client) {
+  let tables = null;
+
+  try {
+    tables = await fetchSchema(client);
+  } catch (error) {
+    logError(error, 'schema (resolving table names)');
+  }
+
+  for (const entry of listTables()) {
+    const match = tables ? matchTable(entry.table, tables) : null;
+    const name = match ? match.name : await probeTable(client, entry.table);
+
+    if (!name) {
+      logger.warn(`Table for '${entry.name}' not found; using '${entry.table}'`, { table: entry.name });
+      continue;
+    }
+
+    if (name !== entry.table) {
+      logger.info(`Table for '${entry.name}' resolved to '${name}'`, { table: entry.name, resolved: name });
+      setRealTable(entry, name);
+    }
+  }
+
+  resolved = true;
+}
+
+function tablesResolved() {
+  return resolved;
+}
+
+// Describe a catalog table, with the registry name it is served under
+function describeTable(table) {
+  const entry = findTable(table.name);
+
+  return {
+    resource: entry ? entry.name : null,
+    ...table
+  };
+}
+
+module.exports = {
+  SchemaUnavailableError,
+  fetchSchema,
+  matchTable,
+  resolveTables,
+  tablesResolved,
+  describeTable
+};
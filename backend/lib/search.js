@@ -0,0 +1,139 @@
+// Ranking and highlighting for /api/search
+//
+// Rows are scored per search term: an exact column match counts most, then a
+// match at the start of a word, then any substring match. Each match is
+// weighted by the column's position in the table's searchColumns, so a hit on
+// Name outranks one on Description.
+
+const SNIPPET_RADIUS = 40;
+const BOUNDARY = /[\s\p{P}]/u;
+
+// Split a query into lowercase terms, dropping wildcard characters
+function tokenize(query) {
+  return String(query)
+    .toLocaleLowerCase()
+    .replace(/[*%]/g, ' ')
+    .split(/\s+/)
+    .filter(term => term.length > 0);
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// How well one term matches one column value: 3 exact, 2 word start, 1 substring
+function matchStrength(text, term) {
+  if (text === term) return 3;
+
+  let index = text.indexOf(term);
+  let strength = 0;
+
+  while (index !== -1) {
+    if (index === 0 || BOUNDARY.test(text[index - 1])) return 2;
+    strength = 1;
+    index = text.indexOf(term, index + 1);
+  }
+
+  return strength;
+}
+
+// Score a row against the query terms. Returns 0 when a term matches nowhere.
+function scoreRow(row, columns, terms) {
+  let score = 0;
+
+  for (const term of terms) {
+    let best = 0;
+
+    columns.forEach((column, index) => {
+      if (row[column] === null || row[column] === undefined) return;
+
+      const text = String(row[column]).toLocaleLowerCase();
+      const weight = columns.length - index;
+
+      best = Math.max(best, matchStrength(text, term) * weight);
+    });
+
+    if (best === 0) return 0;
+    score += best;
+  }
+
+  return score;
+}
+
+// Cut a snippet around the first match and wrap every match in <mark>.
+// Returns null when the value does not match any term.
+function highlight(value, terms) {
+  const text = String(value);
+  const lower = text.toLocaleLowerCase();
+  const ranges = [];
+
+  for (const term of terms) {
+    let index = lower.indexOf(term);
+
+    while (index !== -1) {
+      ranges.push([index, index + term.length]);
+      index = lower.indexOf(term, index + term.length);
+    }
+  }
+
+  if (ranges.length === 0) {
+    return null;
+  }
+
+  ranges.sort((a, b) => a[0] - b[0]);
+
+  const start = Math.max(0, ranges[0][0] - SNIPPET_RADIUS);
+  const end = Math.min(text.length, ranges[0][1] + SNIPPET_RADIUS * 2);
+  let snippet = start > 0 ? '…' : '';
+  let cursor = start;
+
+  for (const [from, to] of ranges) {
+    if (from < cursor || from >= end) continue;
+
+    snippet += escapeHtml(text.slice(cursor, from));
+    snippet += `<mark>${escapeHtml(text.slice(from, Math.min(to, end)))}</mark>`;
+    cursor = Math.min(to, end);
+  }
+
+  snippet += escapeHtml(text.slice(cursor, end));
+
+  return end < text.length ? `${snippet}…` : snippet;
+}
+
+// Rank rows for one table and return the top `limit` hits. Rows already
+// matched by Postgres full-text search (`preMatched`) are kept even when
+// stemming found them without a literal match.
+function rankRows(entry, rows, terms, limit, preMatched = false) {
+  const columns = entry.searchColumns;
+
+  const hits = rows
+    .map(row => ({ row, score: scoreRow(row, columns, terms) || (preMatched ? 1 : 0) }))
+    .filter(hit => hit.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  return {
+    total: hits.length,
+    hits: hits.slice(0, limit).map(({ row, score }) => {
+      const highlights = {};
+
+      for (const column of columns) {
+        if (row[column] === null || row[column] === undefined) continue;
+
+        const snippet = highlight(row[column], terms);
+        if (snippet) highlights[column] = snippet;
+      }
+
+      return { id: row[entry.primaryKey], score, highlights, row };
+    })
+  };
+}
+
+module.exports = {
+  tokenize,
+  rankRows
+};
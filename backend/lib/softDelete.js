@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const { queryTable } = require('./tables');
+
+// Soft delete for tables with a `softDelete` registry option
+//
+// Deleting a row sets its deleted_at marker instead of removing it, together
+// with a group id shared by every row deleted in the same request so a bulk
+// delete can be restored in one go. Rows in the trash are purged for good
+// once they are older than the table's retention period.
+
+function isSoftDeleted(entry) {
+  return !!entry.softDelete;
+}
+
+// Group id for the rows deleted by one request
+function newGroup() {
+  return crypto.randomUUID();
+}
+
+// Hide trashed rows from a query on a soft-delete table
+function hideDeleted(entry, query) {
+  return isSoftDeleted(entry) ? query.is(entry.softDelete.column, null) : query;
+}
+
+// Only trashed rows
+function onlyDeleted(entry, query) {
+  return query.not(entry.softDelete.column, 'is', null);
+}
+
+// The row as it was before it was trashed, for change events
+function untrashed(entry, row) {
+  const { column, groupColumn } = entry.softDelete;
+  return { ...row, [column]: null, [groupColumn]: null };
+}
+
+// Values that move a row to the trash
+function trashMarkers(entry, group) {
+  const { column, groupColumn } = entry.softDelete;
+  return { [column]: new Date().toISOString(), [groupColumn]: group };
+}
+
+// Move live rows to the trash. Returns the Supabase result with the trashed
+// rows. `where` can narrow the update further.
+function trashRows(client, entry, ids, group, where = query => query) {
+  return queryTable(client, entry, query => where(hideDeleted(entry, query
+    .update(trashMarkers(entry, group))
+    .in(entry.primaryKey, ids)))
+    .select());
+}
+
+// Narrow a query to trashed rows, by ids or by delete group
+function matchTrashed(entry, query, { ids, group }) {
+  const request = onlyDeleted(entry, query);
+
+  return group
+    ? request.eq(entry.softDelete.groupColumn, group)
+    : request.in(entry.primaryKey, ids);
+}
+
+// Trashed rows matching ids or a delete group
+function findTrashed(client, entry, match) {
+  return queryTable(client, entry, query => matchTrashed(entry, query.select('*'), match));
+}
+
+// Take rows out of the trash, by ids or by delete group
+function restoreRows(client, entry, match) {
+  const { column, groupColumn } = entry.softDelete;
+
+  return queryTable(client, entry, query => matchTrashed(
+    entry, query.update({ [column]: null, [groupColumn]: null }), match).select());
+}
+
+// Oldest deletion time still kept in the trash
+function retentionCutoff(entry, now = Date.now()) {
+  return new Date(now - entry.softDelete.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+}
+
+// Permanently delete trashed rows past the retention period
+function purgeExpired(client, entry) {
+  const cutoff = retentionCutoff(entry);
+
+  return queryTable(client, entry, query => query
+    .delete()
+    .lt(entry.softDelete.column, cutoff)
+    .select());
+}
+
+module.exports = {
+  isSoftDeleted,
+  newGroup,
+  hideDeleted,
+  onlyDeleted,
+  untrashed,
+  trashMarkers,
+  trashRows,
+  findTrashed,
+  restoreRows,
+  retentionCutoff,
+  purgeExpired
+};
@@ -0,0 +1,79 @@
+const fetch = require('node-fetch');
+const { createClient } = require('@supabase/supabase-js');
+const { supabaseUrl, supabaseKey } = require('../config');
+const { logger, currentContext } = require('./logger');
+const { observeSupabaseCall } = require('./metrics');
+const { resilientFetch } = require('./resilience');
+
+// One attempt at a Supabase call. Each attempt is timed, logged at debug
+// level, added to the current request's totals for its request log line and
+// recorded in the Supabase metrics.
+async function fetchOnce(url, options) {
+  const started = process.hrtime.bigint();
+  const method = (options.method || 'GET').toUpperCase();
+  const path = new URL(String(url)).pathname;
+  const elapsed = () => Number(process.hrtime.bigint() - started) / 1e6;
+  const store = currentContext();
+  let status = null;
+
+  try {
+    const response = await fetch(url, options);
+    const durationMs = Math.round(elapsed());
+
+    status = response.status;
+    logger.debug('supabase call', { method, path, status, durationMs });
+    return response;
+  } catch (error) {
+    logger.warn('supabase call failed', { method, path, durationMs: Math.round(elapsed()), error: error.message });
+    throw error;
+  } finally {
+    const durationMs = elapsed();
+
+    if (store) {
+      store.supabaseCalls++;
+      store.supabaseMs += durationMs;
+    }
+
+    observeSupabaseCall(method, path, options.headers, status, durationMs / 1000);
+  }
+}
+
+// fetch used for every Supabase call, with timeouts, retries for reads and a
+// circuit breaker (see lib/resilience.js)
+function supabaseFetch(url, options = {}) {
+  return resilientFetch(fetchOnce, url, options);
+}
+
+// Server-side clients never keep sessions of their own
+const clientOptions = {
+  auth: {
+    persistSession: false,
+    autoRefreshToken: false,
+    detectSessionInUrl: false
+  },
+  global: {
+    fetch: supabaseFetch
+  }
+};
+
+// Shared anon client for unauthenticated requests
+const supabase = createClient(supabaseUrl, supabaseKey, clientOptions);
+
+// Client scoped to a user's access token so row-level security applies
+function createUserClient(accessToken) {
+  return createClient(supabaseUrl, supabaseKey, {
+    ...clientOptions,
+    global: {
+      ...clientOptions.global,
+      headers: { Authorization: `Bearer ${accessToken}` }
+    }
+  });
+}
+
+module.exports = {
+  supabase,
+  supabaseUrl,
+  supabaseKey,
+  createUserClient,
+  supabaseFetch
+};
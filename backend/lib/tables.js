@@ -0,0 +1,87 @@
+const definitions = require('../config/tables');
+
+const COLUMN_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const SOFT_DELETE_DEFAULTS = {
+  column: 'deleted_at',
+  groupColumn: 'deleted_group',
+  retentionDays: 30
+};
+
+// `softDelete: true` uses the default columns and retention period
+function normaliseSoftDelete(option) {
+  if (!option) return null;
+  return { ...SOFT_DELETE_DEFAULTS, ...(option === true ? {} : option) };
+}
+
+// Normalise registry entries so handlers can rely on every option being set
+const registry = {};
+
+for (const [name, definition] of Object.entries(definitions)) {
+  registry[name] = {
+    name,
+    primaryKey: 'id',
+    cacheTtl: 300000,
+    staleTtl: 60000,
+    fallbackTtl: 3600000,
+    operations: ['list', 'read', 'create', 'update', 'delete'],
+    schema: null,
+    queryable: true,
+    searchColumns: [],
+    searchVector: null,
+    versionColumn: 'updated_at',
+    stream: true,
+    ...definition,
+    softDelete: normaliseSoftDelete(definition.softDelete)
+  };
+}
+
+// Look up a registered table by its public name
+function getTable(name) {
+  return Object.prototype.hasOwnProperty.call(registry, name) ? registry[name] : null;
+}
+
+// List every registered table
+function listTables() {
+  return Object.values(registry);
+}
+
+// Look up a registered table by its public name or real Supabase name
+function findTable(name) {
+  return getTable(name) || listTables().find(entry => entry.table === name) || null;
+}
+
+// Check whether a column is known for a table: the primary key or a schema
+// column. Tables without a schema accept any plain column name.
+function hasColumn(entry, column) {
+  if (column === entry.primaryKey) return true;
+  if (entry.schema) return Object.prototype.hasOwnProperty.call(entry.schema, column);
+  return COLUMN_PATTERN.test(column);
+}
+
+// Check whether an operation is enabled for a table
+function allowsOperation(entry, operation) {
+  return entry.operations.includes(operation);
+}
+
+// Point a registered table at its real Supabase name, as found in the
+// database catalog at startup (see lib/schema.js)
+function setRealTable(entry, table) {
+  entry.table = table;
+}
+
+// Run a query against a registered table.
+// `build` receives a query builder for the table and must return a query.
+async function queryTable(client, entry, build) {
+  return build(client.from(entry.table));
+}
+
+module.exports = {
+  getTable,
+  findTable,
+  listTables,
+  hasColumn,
+  allowsOperation,
+  setRealTable,
+  queryTable
+};
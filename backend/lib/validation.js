@@ -0,0 +1,184 @@
+// Declarative record validation
+//
+// A schema maps column names to field specs:
+//   type      - 'string', 'integer', 'number' or 'boolean' (default: 'string')
+//   format    - 'url', 'email' or 'date' for string fields
+//   required  - must be present and non-empty
+//   maxLength - maximum string length
+//   min, max  - numeric bounds
+//   enum      - list of allowed values
+//
+// Values are coerced to their declared type (e.g. "3" -> 3 for integers) and
+// keys that are not in the schema are dropped, so clients cannot set `id` or
+// other protected columns. Creates are validated as whole records; updates
+// are patches, so only the fields they supply are checked and written.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+// Plain decimal numbers only: no hex, exponents, Infinity or blanks
+const INTEGER_PATTERN = /^[+-]?\d+$/;
+const NUMBER_PATTERN = /^[+-]?(?:\d+(?:\.\d*)?|\.\d+)$/;
+
+function isEmpty(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+// Number in a string, or NaN unless it matches `pattern`
+function parseDecimal(raw, pattern) {
+  const text = raw.trim();
+  return pattern.test(text) ? Number(text) : NaN;
+}
+
+// Coerce a raw value to the field's type. Returns { value } or { error }.
+function coerce(spec, raw) {
+  switch (spec.type || 'string') {
+    case 'integer': {
+      const value = typeof raw === 'string' ? parseDecimal(raw, INTEGER_PATTERN) : raw;
+      if (typeof value !== 'number' || !Number.isInteger(value)) {
+        return { error: { code: 'invalid_type', message: 'must be an integer' } };
+      }
+      return { value };
+    }
+    case 'number': {
+      const value = typeof raw === 'string' ? parseDecimal(raw, NUMBER_PATTERN) : raw;
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return { error: { code: 'invalid_type', message: 'must be a number' } };
+      }
+      return { value };
+    }
+    case 'boolean': {
+      if (typeof raw === 'boolean') return { value: raw };
+      if (raw === 'true' || raw === '1' || raw === 1) return { value: true };
+      if (raw === 'false' || raw === '0' || raw === 0) return { value: false };
+      return { error: { code: 'invalid_type', message: 'must be a boolean' } };
+    }
+    default: {
+      if (typeof raw === 'string') return { value: raw.trim() };
+      if (typeof raw === 'number' || typeof raw === 'boolean') return { value: String(raw) };
+      return { error: { code: 'invalid_type', message: 'must be a string' } };
+    }
+  }
+}
+
+// Check a coerced value against the field's constraints
+function checkConstraints(spec, value) {
+  if (spec.maxLength !== undefined && typeof value === 'string' && value.length > spec.maxLength) {
+    return { code: 'too_long', message: `must be at most ${spec.maxLength} characters` };
+  }
+
+  if (spec.min !== undefined && value < spec.min) {
+    return { code: 'too_small', message: `must be at least ${spec.min}` };
+  }
+
+  if (spec.max !== undefined && value > spec.max) {
+    return { code: 'too_large', message: `must be at most ${spec.max}` };
+  }
+
+  if (spec.enum && !spec.enum.includes(value)) {
+    return { code: 'invalid_enum', message: `must be one of: ${spec.enum.join(', ')}` };
+  }
+
+  if (spec.format === 'url' && !isValidUrl(value)) {
+    return { code: 'invalid_format', message: 'must be an http(s) URL' };
+  }
+
+  if (spec.format === 'email' && !EMAIL_PATTERN.test(value)) {
+    return { code: 'invalid_format', message: 'must be an email address' };
+  }
+
+  if (spec.format === 'date' && !isValidDate(value)) {
+    return { code: 'invalid_format', message: 'must be a date in YYYY-MM-DD format' };
+  }
+
+  return null;
+}
+
+function isValidUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+// The date must exist: Date.parse rolls 2024-02-30 over to March 1st, which
+// Postgres would reject
+function isValidDate(value) {
+  const match = DATE_PATTERN.exec(value);
+
+  if (!match || isNaN(Date.parse(value))) return false;
+
+  const [year, month, day] = match.slice(1, 4).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+// Validate a record against a schema.
+// Returns { value, errors } where `value` holds only known, coerced fields and
+// `errors` lists every violation as { field, code, message }. With `partial`
+// (updates) fields missing from the input are skipped, even required ones,
+// but at least one known field must be given.
+function validate(schema, input, { partial = false } = {}) {
+  const value = {};
+  const errors = [];
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { value, errors: [{ field: null, code: 'invalid_body', message: 'Body must be a JSON object' }] };
+  }
+
+  for (const [field, spec] of Object.entries(schema)) {
+    const raw = input[field];
+
+    if (partial && raw === undefined) {
+      continue;
+    }
+
+    if (isEmpty(raw)) {
+      if (spec.required) {
+        errors.push({ field, code: 'required', message: `${field} is required` });
+      } else if (raw !== undefined) {
+        value[field] = null;
+      }
+      continue;
+    }
+
+    const coerced = coerce(spec, raw);
+
+    if (coerced.error) {
+      errors.push({ field, ...coerced.error, message: `${field} ${coerced.error.message}` });
+      continue;
+    }
+
+    const violation = checkConstraints(spec, coerced.value);
+
+    if (violation) {
+      errors.push({ field, ...violation, message: `${field} ${violation.message}` });
+      continue;
+    }
+
+    value[field] = coerced.value;
+  }
+
+  if (partial && errors.length === 0 && Object.keys(value).length === 0) {
+    errors.push({ field: null, code: 'no_fields', message: `Body must set at least one of: ${Object.keys(schema).join(', ')}` });
+  }
+
+  return { value, errors };
+}
+
+// Validate a write against a registered table's schema. Tables without a
+// schema accept the body unchanged. Pass { partial: true } for updates.
+function validateRecord(entry, input, options) {
+  if (!entry.schema) {
+    return { value: { ...input }, errors: [] };
+  }
+
+  return validate(entry.schema, input, options);
+}
+
+module.exports = {
+  validate,
+  validateRecord
+};
@@ -0,0 +1,101 @@
+const jwt = require('jsonwebtoken');
+const { jwtSecret } = require('../config');
+const { supabase, createUserClient } = require('../lib/supabase');
+const authClient = require('../lib/authClient');
+const { sendError } = require('../lib/errors');
+const { UpstreamError, isUpstreamError } = require('../lib/resilience');
+const { logger } = require('../lib/logger');
+const { limitUser } = require('./rateLimit');
+
+// Extract the bearer token from the Authorization header
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (!scheme || scheme.toLowerCase() !== 'bearer' || !token) {
+    return null;
+  }
+
+  return token;
+}
+
+// Verify an access token and return its claims.
+// With JWT_SECRET set the signature is checked locally, otherwise Supabase Auth
+// is asked to resolve the token. Throws an UpstreamError when Supabase Auth
+// could not answer, so callers can tell that apart from a rejected token.
+async function verifyToken(token) {
+  if (jwtSecret) {
+    return jwt.verify(token, jwtSecret, { algorithms: ['HS256'] });
+  }
+
+  const { data: user, error } = await authClient.getUser(token);
+
+  if (error && error.status >= 500) {
+    throw new UpstreamError(`Supabase Auth could not verify the token: ${error.message}`, 'auth_unavailable');
+  }
+
+  if (error) throw error;
+
+  return {
+    sub: user.id,
+    email: user.email,
+    role: user.role,
+    app_metadata: user.app_metadata || {},
+    user_metadata: user.user_metadata || {}
+  };
+}
+
+// Resolve the caller from the bearer token, if any, and attach a Supabase
+// client scoped to that token. Requests without a token use the anon client.
+// A token that cannot be checked because Supabase Auth is down gets a 503,
+// not a 401, so clients keep their session and retry. Signed-in callers then
+// count against the per-user rate limits.
+async function authenticate(req, res, next) {
+  req.user = null;
+  req.accessToken = null;
+  req.supabase = supabase;
+
+  const token = getBearerToken(req);
+
+  if (!token) {
+    return next();
+  }
+
+  let claims;
+
+  try {
+    claims = await verifyToken(token);
+  } catch (error) {
+    if (isUpstreamError(error)) {
+      logger.warn('Supabase Auth unavailable; token not verified', { code: error.code, error: error.message });
+      return sendError(res, 503, 'Supabase Auth is unavailable; try again shortly', { code: 'upstream_unavailable' });
+    }
+
+    claims = null;
+  }
+
+  if (!claims) {
+    return sendError(res, 401, 'Invalid or expired access token', { code: 'invalid_token' });
+  }
+
+  req.user = claims;
+  req.accessToken = token;
+  req.supabase = createUserClient(token);
+  limitUser(req, res, next);
+}
+
+// Reject requests that did not present a valid access token
+function requireAuth(req, res, next) {
+  if (!req.user) {
+    return sendError(res, 401, 'Authentication required', { code: 'authentication_required' });
+  }
+
+  next();
+}
+
+module.exports = {
+  getBearerToken,
+  verifyToken,
+  authenticate,
+  requireAuth
+};
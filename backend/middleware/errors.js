@@ -0,0 +1,38 @@
+const { toApiError, sendError } = require('../lib/errors');
+const { logger, logError, serializeError } = require('../lib/logger');
+const { isUpstreamError } = require('../lib/resilience');
+
+// Unmatched /api routes
+function notFound(req, res) {
+  sendError(res, 404, `No route for ${req.method} ${req.path}`, { code: 'route_not_found' });
+}
+
+// Last middleware: turn anything passed to next(error) into the error
+// envelope. Server errors are logged as errors and database errors mapped to
+// a client status as warnings; the client only gets the mapped message.
+function errorHandler(error, req, res, next) {
+  const apiError = toApiError(error);
+
+  const endpoint = `${req.method} ${req.path}`;
+
+  // Supabase being down is logged once per request, without a stack trace
+  if (isUpstreamError(error)) {
+    logger.warn(`Supabase unavailable in ${endpoint}`, { endpoint, code: error.code, error: error.message });
+  } else if (apiError.status >= 500) {
+    logError(error, endpoint);
+  } else if (apiError !== error && !error.expose) {
+    logger.warn(`Request failed in ${endpoint}`, { endpoint, code: apiError.code, error: serializeError(error) });
+  }
+
+  // A stream that already started can only be cut off
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  sendError(res, apiError.status, apiError.message, { code: apiError.code, ...apiError.details });
+}
+
+module.exports = {
+  notFound,
+  errorHandler
+};
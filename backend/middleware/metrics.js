@@ -0,0 +1,49 @@
+const { observeRequest } = require('../lib/metrics');
+
+// Route pattern a request matched, e.g. /api/:table/:id
+function routeLabel(baseUrl, route) {
+  const label = `${baseUrl}${route.path}`;
+  return label.length > 1 && label.endsWith('/') ? label.slice(0, -1) : label;
+}
+
+// Follow the routes a request matches. Express sets req.route as it
+// dispatches to a route, which is the only time req.baseUrl belongs to that
+// route's router: it is reset once the request leaves the router, e.g. on
+// next(error). Requests that no route handled share one label so unknown
+// URLs cannot add series.
+function trackRoute(req) {
+  let route;
+  let label = 'unmatched';
+
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set(value) {
+      route = value;
+
+      if (value) {
+        label = routeLabel(req.baseUrl, value);
+      }
+    }
+  });
+
+  return () => label;
+}
+
+// Record the count and latency of every finished request
+function observeRequests(req, res, next) {
+  const started = process.hrtime.bigint();
+  const matchedRoute = trackRoute(req);
+
+  res.once('close', () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    observeRequest(req.method, matchedRoute(), res.headersSent ? res.statusCode : 0, seconds);
+  });
+
+  next();
+}
+
+module.exports = {
+  observeRequests
+};
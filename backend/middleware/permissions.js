@@ -0,0 +1,47 @@
+const { resolveRole, checkPermission } = require('../lib/permissions');
+const { sendError } = require('../lib/errors');
+
+// Enforce the role policy for an operation on the request's table.
+// Must run after authenticate and after req.table has been resolved.
+function authorize(operation) {
+  return (req, res, next) => {
+    const role = resolveRole(req.user);
+    const reason = checkPermission(role, req.table.name, operation);
+
+    req.role = role;
+
+    if (reason) {
+      return sendError(res, 403, `Role '${role}' may not ${operation} ${req.table.name}`, {
+        reason,
+        role,
+        table: req.table.name,
+        operation
+      });
+    }
+
+    next();
+  };
+}
+
+// Restrict a route to the given roles. Must run after authenticate.
+function requireRole(...roles) {
+  return (req, res, next) => {
+    const role = resolveRole(req.user);
+
+    req.role = role;
+
+    if (!roles.includes(role)) {
+      return sendError(res, 403, `Role '${role}' may not access this resource`, {
+        reason: 'role_required',
+        role
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  authorize,
+  requireRole
+};
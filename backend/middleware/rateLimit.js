@@ -0,0 +1,88 @@
+const rateLimit = require('express-rate-limit');
+const { rateLimit: limits } = require('../config');
+const { sendError } = require('../lib/errors');
+const { logger } = require('../lib/logger');
+
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// The app-wide limits count per IP address. Tokens are only verified after
+// them, so a flood of made-up tokens neither costs a Supabase Auth call each
+// nor earns a fresh budget.
+function ipKey(req) {
+  return `ip:${req.ip}`;
+}
+
+// Once a token is verified the caller also counts per user, so one account
+// spread over many addresses keeps a single budget
+function userKey(req) {
+  return `user:${req.user.sub}`;
+}
+
+// Creates, updates, deletes, imports and batches. Auth calls are not writes;
+// logins have their own limit.
+function isWrite(req) {
+  return WRITE_METHODS.includes(req.method) && !req.originalUrl.startsWith('/api/auth/');
+}
+
+// 429 in the shared error envelope. express-rate-limit has already set
+// Retry-After and the RateLimit headers.
+function limiter(name, options) {
+  return rateLimit({
+    windowMs: limits.windowMs,
+    standardHeaders: true,
+    legacyHeaders: false,
+    ...options,
+    skip: (req, res) => !limits.enabled || (options.skip ? options.skip(req, res) : false),
+    handler: (req, res) => {
+      logger.warn('Rate limit exceeded', { limit: name, ip: req.ip, userId: req.user ? req.user.sub : undefined });
+      sendError(res, 429, 'Too many requests, please try again later', { code: 'rate_limited', limit: name });
+    }
+  });
+}
+
+// Every API request
+const limitRequests = limiter('requests', {
+  max: limits.maxRequests,
+  keyGenerator: ipKey
+});
+
+// Writes
+const limitWrites = limiter('writes', {
+  max: limits.maxWrites,
+  keyGenerator: ipKey,
+  skip: req => !isWrite(req)
+});
+
+const limitUserRequests = limiter('user_requests', {
+  max: limits.maxRequests,
+  keyGenerator: userKey
+});
+
+const limitUserWrites = limiter('user_writes', {
+  max: limits.maxWrites,
+  keyGenerator: userKey,
+  skip: req => !isWrite(req)
+});
+
+// Per-user limits, run by authenticate once the caller is known. A request
+// that passes through several routers is only counted once.
+function limitUser(req, res, next) {
+  if (req.userLimited) return next();
+
+  req.userLimited = true;
+  limitUserRequests(req, res, error => (error ? next(error) : limitUserWrites(req, res, next)));
+}
+
+// Login attempts, successful or not, per IP address. Repeated failures also
+// lock out the email and address (see lib/loginLockout.js).
+const limitLogins = limiter('login', {
+  max: limits.maxLogins,
+  keyGenerator: ipKey
+});
+
+module.exports = {
+  limitRequests,
+  limitWrites,
+  limitUser,
+  limitLogins
+};
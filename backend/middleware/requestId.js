@@ -0,0 +1,26 @@
+const crypto = require('crypto');
+const { runWithContext } = require('../lib/logger');
+
+// Incoming ids are kept only if they look like an id, so they are safe to log
+// and echo back
+const VALID_ID = /^[\w.:-]{1,128}$/;
+
+// Give every request an id: the caller's X-Request-Id when it sends a usable
+// one, otherwise a new UUID. The id is echoed in the X-Request-Id response
+// header and in error responses, and added to every log line written while
+// the request is handled.
+function requestId(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+
+  req.id = incoming && VALID_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  runWithContext(req.id, context => {
+    req.logContext = context;
+    next();
+  });
+}
+
+module.exports = {
+  requestId
+};
@@ -0,0 +1,40 @@
+const morgan = require('morgan');
+const { formatEntry } = require('../lib/logger');
+
+// Query parameters whose values must not reach the logs
+const SECRET_PARAMS = /([?&][^=&]*(?:token|key|secret|password)[^=&]*=)[^&]*/gi;
+
+const PROBES = ['/healthz', '/readyz'];
+
+function levelFor(status) {
+  if (status >= 500) return 'error';
+  if (status >= 400) return 'warn';
+  return 'info';
+}
+
+// One JSON line per finished request with its status, latency and the time
+// spent waiting on Supabase. Must run after requestId.
+const requestLogger = morgan((tokens, req, res) => {
+  const context = req.logContext || { supabaseCalls: 0, supabaseMs: 0 };
+  const bytes = tokens.res(req, res, 'content-length');
+
+  return formatEntry(levelFor(res.statusCode), 'request', {
+    requestId: req.id,
+    method: req.method,
+    url: req.originalUrl.replace(SECRET_PARAMS, '$1[REDACTED]'),
+    status: res.headersSent ? res.statusCode : null,
+    durationMs: Number(tokens['response-time'](req, res)) || null,
+    bytes: bytes ? Number(bytes) : null,
+    userId: req.user ? req.user.sub : null,
+    supabaseCalls: context.supabaseCalls,
+    supabaseMs: Math.round(context.supabaseMs)
+  });
+}, {
+  // Probes that pass would drown everything else
+  skip: (req, res) => PROBES.includes(req.path) && res.statusCode < 400,
+  stream: { write: line => process.stdout.write(line) }
+});
+
+module.exports = {
+  requestLogger
+};
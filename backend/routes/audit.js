@@ -0,0 +1,87 @@
+const express = require('express');
+const { getTable } = require('../lib/tables');
+const { authenticate, requireAuth } = require('../middleware/auth');
+const { requireRole } = require('../middleware/permissions');
+const { sendError } = require('../lib/errors');
+
+// Written by the triggers in sql/audit_log.sql
+const AUDIT_TABLE = 'audit_log';
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+function parseDate(value) {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+// List audit entries, newest first.
+// Filters: table, row, user (actor id), from, to (ISO dates), limit, offset
+async function listAudit(req, res, next) {
+  try {
+    const { table, row, user, from, to } = req.query;
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : DEFAULT_LIMIT;
+    const offset = req.query.offset !== undefined ? Number(req.query.offset) : 0;
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return sendError(res, 400, `limit must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+
+    if (!Number.isInteger(offset) || offset < 0) {
+      return sendError(res, 400, 'offset must be a non-negative integer');
+    }
+
+    if (table !== undefined && !getTable(table)) {
+      return sendError(res, 400, `Unknown table: ${table}`, { code: 'unknown_table' });
+    }
+
+    if (row !== undefined && table === undefined) {
+      return sendError(res, 400, 'row requires table');
+    }
+
+    const range = {};
+
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value !== undefined) {
+        range[name] = parseDate(value);
+
+        if (!range[name]) {
+          return sendError(res, 400, `${name} must be an ISO 8601 date`);
+        }
+      }
+    }
+
+    let query = req.supabase
+      .from(AUDIT_TABLE)
+      .select('*', { count: 'exact' })
+      .order('changed_at', { ascending: false })
+      .order('id', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (table !== undefined) query = query.eq('table_name', table);
+    if (row !== undefined) query = query.eq('row_id', String(row));
+    if (user !== undefined) query = query.eq('actor_id', user);
+    if (range.from) query = query.gte('changed_at', range.from);
+    if (range.to) query = query.lte('changed_at', range.to);
+
+    const { data, count, error } = await query;
+
+    if (error) throw error;
+
+    res.set('X-Total-Count', String(count || 0));
+    res.json(data || []);
+  } catch (error) {
+    next(error);
+  }
+}
+
+function createAuditRouter() {
+  const router = express.Router();
+
+  router.get('/', authenticate, requireAuth, requireRole('admin'), listAudit);
+
+  return router;
+}
+
+module.exports = {
+  createAuditRouter
+};
@@ -0,0 +1,132 @@
+const express = require('express');
+const authClient = require('../lib/authClient');
+const { authenticate, requireAuth } = require('../middleware/auth');
+const { sendError } = require('../lib/errors');
+const { logger, serializeError } = require('../lib/logger');
+const { lockoutRemaining, recordLoginFailure, clearLoginFailures } = require('../lib/loginLockout');
+const { limitLogins } = require('../middleware/rateLimit');
+
+// Supabase Auth rejected the request (401), or could not answer it (502)
+function sendAuthError(res, error, code) {
+  const level = error.status >= 500 ? 'error' : 'warn';
+
+  // Only the error itself is logged, never the credentials that were sent
+  logger[level](`Auth request failed in ${res.req.originalUrl}`, { code, error: serializeError(error) });
+
+  if (error.status >= 500) {
+    return sendError(res, 502, 'Supabase Auth is unavailable', { code: 'auth_unavailable' });
+  }
+
+  return sendError(res, 401, error.message, { code });
+}
+
+// Login: exchange credentials for a session owned by the caller
+async function login(req, res, next) {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return sendError(res, 400, 'Email and password are required', { code: 'credentials_required' });
+    }
+
+    const locked = lockoutRemaining(email, req.ip);
+
+    if (locked > 0) {
+      logger.warn('Login refused during lockout', { ip: req.ip });
+      res.set('Retry-After', String(Math.ceil(locked / 1000)));
+      return sendError(res, 429, 'Too many failed login attempts, please try again later', { code: 'login_locked' });
+    }
+
+    const { data, error } = await authClient.signInWithPassword(email, password);
+
+    if (error) {
+      // Only rejected credentials count; an unreachable Auth service does not
+      if (error.status < 500) {
+        recordLoginFailure(email, req.ip);
+      }
+
+      return sendAuthError(res, error, 'invalid_credentials');
+    }
+
+    clearLoginFailures(email);
+    return res.status(200).json({ session: data });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Session: resolve the caller's own access token
+async function session(req, res, next) {
+  try {
+    const { data: user, error } = await authClient.getUser(req.accessToken);
+
+    if (error) {
+      return sendAuthError(res, error, 'invalid_token');
+    }
+
+    return res.status(200).json({
+      session: {
+        access_token: req.accessToken,
+        token_type: 'bearer',
+        expires_at: req.user.exp || null,
+        user
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Refresh: exchange a refresh token for a new session
+async function refresh(req, res, next) {
+  try {
+    const { refresh_token: refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return sendError(res, 400, 'refresh_token is required', { code: 'refresh_token_required' });
+    }
+
+    const { data, error } = await authClient.refreshSession(refreshToken);
+
+    if (error) {
+      return sendAuthError(res, error, 'invalid_refresh_token');
+    }
+
+    return res.status(200).json({ session: data });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Logout: revoke only the caller's session
+async function logout(req, res, next) {
+  try {
+    const { error } = await authClient.signOut(req.accessToken);
+
+    if (error) {
+      logger.warn('Auth request failed in /api/auth/logout', { code: 'logout_failed', error: serializeError(error) });
+      return sendError(res, 400, error.message, { code: 'logout_failed' });
+    }
+
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Authentication endpoints. None of them keep state on the server; the caller
+// presents its own access or refresh token on every request.
+function createAuthRouter() {
+  const router = express.Router();
+
+  router.post('/login', limitLogins, login);
+  router.post('/refresh', refresh);
+  router.get('/session', authenticate, requireAuth, session);
+  router.post('/logout', authenticate, requireAuth, logout);
+
+  return router;
+}
+
+module.exports = {
+  createAuthRouter
+};
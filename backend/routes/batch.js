@@ -0,0 +1,233 @@
+const { allowsOperation, queryTable } = require('../lib/tables');
+const { validateRecord } = require('../lib/validation');
+const { resolveRole, checkPermission } = require('../lib/permissions');
+const { afterWrite } = require('../lib/changes');
+const { newGroup, hideDeleted, untrashed, trashMarkers, trashRows } = require('../lib/softDelete');
+const { toApiError, sendError } = require('../lib/errors');
+const { logError } = require('../lib/logger');
+
+const MAX_OPERATIONS = 500;
+const OPERATIONS = ['create', 'update', 'delete'];
+
+// Postgres function used for all-or-nothing batches (see sql/batch_apply.sql)
+const BATCH_FUNCTION = 'batch_apply';
+
+// Check one batch item before anything is written. Returns the prepared
+// operation or an error result.
+function prepareItem(entry, role, item, index) {
+  if (!item || typeof item !== 'object' || !OPERATIONS.includes(item.op)) {
+    return { error: { index, status: 400, code: 'invalid_operation', error: `op must be one of: ${OPERATIONS.join(', ')}` } };
+  }
+
+  const { op } = item;
+
+  if (!allowsOperation(entry, op)) {
+    return { error: { index, op, status: 405, code: 'operation_not_allowed', error: `Operation '${op}' is not allowed on ${entry.name}` } };
+  }
+
+  const reason = checkPermission(role, entry.name, op);
+
+  if (reason) {
+    return { error: { index, op, status: 403, code: 'forbidden', error: `Role '${role}' may not ${op} ${entry.name}`, reason } };
+  }
+
+  if (op !== 'create' && (item.id === undefined || item.id === null || item.id === '')) {
+    return { error: { index, op, status: 400, code: 'id_required', error: 'id is required' } };
+  }
+
+  const prepared = { index, op, id: item.id };
+
+  if (op !== 'delete') {
+    // Updates are patches, like PUT /api/:table/:id
+    const { value, errors } = validateRecord(entry, item.data, { partial: op === 'update' });
+
+    if (errors.length > 0) {
+      return { error: { index, op, id: item.id, status: 422, code: 'validation_failed', error: 'Validation failed', fields: errors } };
+    }
+
+    prepared.data = value;
+  }
+
+  return { prepared };
+}
+
+// Result for an operation that Supabase rejected
+function failedItem(index, op, id, error) {
+  const { status, code, message } = toApiError(error);
+
+  if (status >= 500) {
+    logError(error, `batch item ${index}`);
+  }
+
+  return { index, op, id, status, code, error: message };
+}
+
+// Change record for one written row. Deletes on soft-delete tables come back
+// as the trashed row.
+function changeFor(entry, op, row, before) {
+  if (op !== 'delete') return { operation: op, before: before || null, after: row };
+  if (entry.softDelete) return { operation: 'soft_delete', before: untrashed(entry, row), after: row };
+  return { operation: op, before: row };
+}
+
+// Run one prepared operation on its own. `group` is the delete group shared
+// by the batch's soft deletes.
+async function runItem(client, entry, item, group) {
+  const { index, op, id, data } = item;
+  let before = null;
+
+  // Keep the current row for the change event
+  if (op === 'update') {
+    const { data: current, error } = await queryTable(client, entry, query => hideDeleted(
+      entry, query.select('*').eq(entry.primaryKey, id)).maybeSingle());
+
+    if (error) {
+      return failedItem(index, op, id, error);
+    }
+
+    before = current;
+  }
+
+  const { data: rows, error } = op === 'delete' && entry.softDelete
+    ? await trashRows(client, entry, [id], group)
+    : await queryTable(client, entry, query => {
+      if (op === 'create') return query.insert(data).select();
+      if (op === 'update') return hideDeleted(entry, query.update(data).eq(entry.primaryKey, id)).select();
+      return query.delete().eq(entry.primaryKey, id).select();
+    });
+
+  if (error) {
+    return failedItem(index, op, id, error);
+  }
+
+  if (!rows || rows.length === 0) {
+    return { index, op, id, status: 404, code: 'not_found', error: `No ${entry.name} record with ID ${id}` };
+  }
+
+  return {
+    index,
+    op,
+    id: rows[0][entry.primaryKey],
+    status: op === 'create' ? 201 : 200,
+    row: rows[0],
+    change: changeFor(entry, op, rows[0], before)
+  };
+}
+
+// Run every prepared operation in one transaction through the Postgres
+// function. Soft deletes are sent as updates that set the trash markers.
+function runAtomic(client, entry, items, group) {
+  const operations = items.map(({ op, id, data }) => (op === 'delete' && entry.softDelete
+    ? { op: 'update', id, data: trashMarkers(entry, group) }
+    : { op, id, data }));
+
+  // The function looks up the primary key and trash column itself
+  return client.rpc(BATCH_FUNCTION, {
+    p_table: entry.table,
+    p_operations: operations
+  });
+}
+
+// Apply a list of create/update/delete operations to a table.
+// Body: { operations: [{ op, id?, data? }, ...], atomic?: boolean }
+// (atomic can also be set with ?atomic=true)
+async function batchRows(req, res, next) {
+  try {
+    const entry = req.table;
+    const { operations } = req.body || {};
+    const atomic = (req.body && req.body.atomic === true) || req.query.atomic === 'true';
+
+    if (!Array.isArray(operations) || operations.length === 0) {
+      return sendError(res, 400, 'operations must be a non-empty array');
+    }
+
+    if (operations.length > MAX_OPERATIONS) {
+      return sendError(res, 413, `Batches are limited to ${MAX_OPERATIONS} operations`);
+    }
+
+    const role = resolveRole(req.user);
+    const checked = operations.map((item, index) => prepareItem(entry, role, item, index));
+    const rejected = checked.filter(item => item.error).map(item => item.error);
+    const group = entry.softDelete && operations.some(item => item && item.op === 'delete') ? newGroup() : null;
+
+    if (atomic) {
+      // Nothing is written unless every operation is valid
+      if (rejected.length > 0) {
+        return sendError(res, 422, 'Batch rejected; nothing was written', { atomic: true, results: rejected });
+      }
+
+      const prepared = checked.map(item => item.prepared);
+      const { data, error } = await runAtomic(req.supabase, entry, prepared, group);
+
+      // PGRST202: function not found
+      if (error && error.code === 'PGRST202') {
+        return sendError(res, 501, `Atomic batches need the ${BATCH_FUNCTION} function; run sql/batch_apply.sql`, {
+          code: 'batch_unavailable',
+          atomic: true
+        });
+      }
+
+      // batch_apply names the failing item in its message
+      if (error) {
+        const { status, code, message } = toApiError(error);
+        const failed = /^batch item (\d+):/.exec(error.message || '');
+
+        logError(error, `${req.baseUrl}/batch`);
+        return sendError(res, status, `Batch rolled back: ${message}`, {
+          code,
+          atomic: true,
+          ...(failed && { index: Number(failed[1]) })
+        });
+      }
+
+      // Report each operation as it was requested, not as it was sent
+      const written = data.map(result => ({ ...result, op: prepared[result.index].op }));
+
+      await afterWrite(req, entry, written.map(({ op, row, before }) => changeFor(entry, op, row, before)));
+
+      return res.json({
+        atomic: true,
+        success: true,
+        ...(group && { group }),
+        results: written.map(({ index, op, row }) => ({
+          index,
+          op,
+          id: row[entry.primaryKey],
+          status: op === 'create' ? 201 : 200,
+          row
+        }))
+      });
+    }
+
+    // Best effort: run each valid operation and report every item
+    const results = [];
+
+    const changes = [];
+
+    for (const item of checked) {
+      if (item.error) {
+        results.push(item.error);
+        continue;
+      }
+
+      const { change, ...result } = await runItem(req.supabase, entry, item.prepared, group);
+
+      if (change) changes.push(change);
+      results.push(result);
+    }
+
+    if (changes.length > 0) {
+      await afterWrite(req, entry, changes);
+    }
+
+    const success = results.every(result => result.status < 300);
+
+    res.status(success ? 200 : 207).json({ atomic: false, success, ...(group && { group }), results });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  batchRows
+};
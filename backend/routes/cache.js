@@ -0,0 +1,52 @@
+const express = require('express');
+const { getTable } = require('../lib/tables');
+const { authenticate, requireAuth } = require('../middleware/auth');
+const { requireRole } = require('../middleware/permissions');
+const { clearCache, clearAllCaches, cacheStats } = require('../lib/cache');
+const { sendError } = require('../lib/errors');
+
+// Clear the cache for one table (?table=events or { "table": "events" }) or,
+// without a target, for every table
+async function clear(req, res, next) {
+  try {
+    const table = req.query.table || (req.body && req.body.table);
+
+    if (table === undefined) {
+      await clearAllCaches();
+      return res.json({ success: true, message: 'All caches cleared' });
+    }
+
+    if (!getTable(table)) {
+      return sendError(res, 404, `Unknown table: ${table}`, { code: 'unknown_table' });
+    }
+
+    await clearCache(table);
+    res.json({ success: true, message: `Cache cleared for ${table}` });
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function stats(req, res, next) {
+  try {
+    res.json(await cacheStats());
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Cache maintenance for admins. The router is mounted on /api, so the checks
+// go on each route rather than on the whole router.
+function createCacheRouter() {
+  const router = express.Router();
+  const adminOnly = [authenticate, requireAuth, requireRole('admin')];
+
+  router.post('/clear-cache', adminOnly, clear);
+  router.get('/cache-stats', adminOnly, stats);
+
+  return router;
+}
+
+module.exports = {
+  createCacheRouter
+};
@@ -0,0 +1,442 @@
+const express = require('express');
+const { getTable, listTables, allowsOperation, queryTable } = require('../lib/tables');
+const { cacheKey, cacheScope, getCachedOrFetch, cachedRows, markStale } = require('../lib/cache');
+const { isUpstreamError } = require('../lib/resilience');
+const { authenticate, requireAuth } = require('../middleware/auth');
+const { authorize } = require('../middleware/permissions');
+const { validateRecord } = require('../lib/validation');
+const {
+  ListQueryError,
+  parseListQuery,
+  selectList,
+  applyFilters,
+  applyListQuery,
+  listQueryKey,
+  nextCursor
+} = require('../lib/listQuery');
+const { exportTable } = require('./export');
+const { importBodyParsers, importRows } = require('./import');
+const { batchRows } = require('./batch');
+const { requireSoftDelete, listTrash, restoreTrash, purgeTrash } = require('./trash');
+const { streamChanges } = require('./stream');
+const { newGroup, hideDeleted, untrashed, trashRows } = require('../lib/softDelete');
+const { afterWrite } = require('../lib/changes');
+const { rowEtag, pageEtag, ifMatchPasses, notModified, whereVersion } = require('../lib/etag');
+const { sendError } = require('../lib/errors');
+
+// Resolve the :table URL parameter against the registry
+function resolveTable(req, res, next) {
+  const entry = getTable(req.params.table);
+
+  if (!entry) {
+    return sendError(res, 404, `Unknown table: ${req.params.table}`, { code: 'unknown_table' });
+  }
+
+  req.table = entry;
+  next();
+}
+
+// Attach a fixed table for the legacy /api/<table> aliases
+function useTable(entry) {
+  return (req, res, next) => {
+    req.table = entry;
+    next();
+  };
+}
+
+// Reject operations the table has not enabled
+function allow(operation) {
+  return (req, res, next) => {
+    if (!allowsOperation(req.table, operation)) {
+      return sendError(res, 405, `Operation '${operation}' is not allowed on ${req.table.name}`);
+    }
+
+    next();
+  };
+}
+
+// Table and role checks for an operation
+function permit(operation) {
+  return [allow(operation), authorize(operation)];
+}
+
+// Respond with every invalid field at once
+function sendValidationErrors(res, errors) {
+  return sendError(res, 422, 'Validation failed', { fields: errors });
+}
+
+// The record changed since the client read it: send the current version
+function sendPreconditionFailed(res, entry, current) {
+  if (current) {
+    res.set('ETag', rowEtag(entry, current));
+  }
+
+  return sendError(res, 412, `The ${entry.name} record has changed since it was read`, {
+    current: current || null
+  });
+}
+
+// Current live row, or null
+async function fetchCurrent(client, entry, id) {
+  const { data, error } = await queryTable(client, entry, query => hideDeleted(
+    entry, query.select('*').eq(entry.primaryKey, id)).maybeSingle());
+
+  if (error) throw error;
+
+  return data;
+}
+
+// Send a read or list with its ETag, or an empty 304 when the client sent
+// that tag in If-None-Match
+function sendTagged(req, res, etag, body) {
+  res.set('ETag', etag);
+
+  if (notModified(req.get('If-None-Match'), etag)) {
+    return res.status(304).end();
+  }
+
+  res.json(body);
+}
+
+// Check the request's If-Match header against the current row. Sends a 412
+// and returns false when the client's version is stale.
+function checkIfMatch(req, res, entry, current) {
+  const ifMatch = req.get('If-Match');
+
+  if (!ifMatch || ifMatchPasses(ifMatch, current && rowEtag(entry, current))) {
+    return true;
+  }
+
+  sendPreconditionFailed(res, entry, current);
+  return false;
+}
+
+// Count every row matching the list filters, ignoring paging
+async function countRows(client, entry, options) {
+  const { count, error } = await queryTable(client, entry, query => applyFilters(
+    query.select('*', { count: 'exact', head: true }), options));
+
+  if (error) throw error;
+
+  return count;
+}
+
+// Fetch one page of rows plus the total number of matching rows
+async function fetchPage(client, entry, options) {
+  const { data, count, error } = await queryTable(client, entry, query => applyListQuery(
+    query.select(selectList(entry, options), { count: 'exact' }), entry, options));
+
+  // PostgREST rejects ranges past the last row; that is just an empty page
+  if (error && error.code === 'PGRST103') {
+    return { rows: [], total: await countRows(client, entry, options) };
+  }
+
+  if (error) throw error;
+
+  // With a cursor the count only covers rows after it
+  const total = options.cursor ? await countRows(client, entry, options) : count;
+
+  return { rows: data || [], total };
+}
+
+// Describe the page in response headers so the body stays a plain array
+function setPageHeaders(res, entry, options, page) {
+  const { rows, total } = page;
+
+  res.set('X-Total-Count', String(total));
+
+  if (!options.cursor) {
+    const range = rows.length > 0
+      ? `${options.offset}-${options.offset + rows.length - 1}`
+      : '*';
+    res.set('Content-Range', `items ${range}/${total}`);
+  }
+
+  const cursor = nextCursor(entry, options, rows);
+
+  if (cursor) {
+    res.set('X-Next-Cursor', cursor);
+  }
+}
+
+async function list(req, res, next) {
+  try {
+    const entry = req.table;
+    const options = parseListQuery(entry, req.query);
+    const key = cacheKey(req, listQueryKey(options));
+
+    const page = await getCachedOrFetch(entry, key, () => fetchPage(req.supabase, entry, options),
+      ageMs => markStale(res, ageMs));
+
+    setPageHeaders(res, entry, options, page);
+    sendTagged(req, res, pageEtag(entry, page.rows, page.total), page.rows);
+  } catch (error) {
+    if (error instanceof ListQueryError) {
+      return sendError(res, 400, error.message, { code: 'invalid_query' });
+    }
+
+    next(error);
+  }
+}
+
+// Answer a read from the rows cached with the caller's list pages while
+// Supabase is unavailable
+async function readCached(req, res, next, error) {
+  const entry = req.table;
+  const rows = await cachedRows(entry, cacheScope(req));
+  const row = rows.find(item => String(item[entry.primaryKey]) === String(req.params.id));
+
+  if (!row) return next(error);
+
+  markStale(res);
+  sendTagged(req, res, rowEtag(entry, row), row);
+}
+
+async function read(req, res, next) {
+  try {
+    const { id } = req.params;
+    const entry = req.table;
+
+    const includeDeleted = req.query.includeDeleted === 'true';
+
+    const { data, error } = await queryTable(req.supabase, entry, query => {
+      const request = query.select('*').eq(entry.primaryKey, id);
+      return (includeDeleted ? request : hideDeleted(entry, request)).maybeSingle();
+    });
+
+    if (error && isUpstreamError(error) && !includeDeleted) {
+      return readCached(req, res, next, error);
+    }
+
+    if (error) throw error;
+
+    if (!data) {
+      return sendError(res, 404, `No ${entry.name} record with ID ${id}`);
+    }
+
+    sendTagged(req, res, rowEtag(entry, data), data);
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function create(req, res, next) {
+  try {
+    const entry = req.table;
+    const { value: record, errors } = validateRecord(entry, req.body);
+
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const { data, error } = await queryTable(req.supabase, entry, query => query
+      .insert(record)
+      .select());
+
+    if (error) throw error;
+
+    await afterWrite(req, entry, (data || []).map(row => ({ operation: 'create', after: row })));
+
+    if (data && data.length === 1) {
+      res.set('ETag', rowEtag(entry, data[0]));
+    }
+
+    res.status(201).json(data);
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function update(req, res, next) {
+  try {
+    const { id } = req.params;
+    const entry = req.table;
+    // A patch: only the fields in the body are checked and changed
+    const { value: record, errors } = validateRecord(entry, req.body, { partial: true });
+
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    // The current row is checked against If-Match and kept for the change event
+    const before = await fetchCurrent(req.supabase, entry, id);
+    const conditional = !!req.get('If-Match');
+
+    if (!checkIfMatch(req, res, entry, before)) return;
+
+    // Trashed rows must be restored before they can be edited
+    const { data, error } = await queryTable(req.supabase, entry, query => {
+      const request = hideDeleted(entry, query.update(record).eq(entry.primaryKey, id));
+      return (conditional ? whereVersion(entry, before, request) : request).select();
+    });
+
+    if (error) throw error;
+
+    // Check if no record was updated
+    if (!data || data.length === 0) {
+      if (conditional) {
+        return sendPreconditionFailed(res, entry, await fetchCurrent(req.supabase, entry, id));
+      }
+
+      return sendError(res, 404, `No ${entry.name} record with ID ${id} was updated. The record may not exist.`);
+    }
+
+    await afterWrite(req, entry, [{ operation: 'update', before, after: data[0] }]);
+    res.set('ETag', rowEtag(entry, data[0]));
+    res.json(data);
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Move rows to the trash on soft-delete tables. Every row deleted by the
+// request shares one group so the whole delete can be restored at once.
+async function moveToTrash(req, ids, where) {
+  const entry = req.table;
+  const group = newGroup();
+
+  const { data, error } = await trashRows(req.supabase, entry, ids, group, where);
+
+  if (error) throw error;
+
+  const trashed = data || [];
+
+  await afterWrite(req, entry, trashed.map(row => ({
+    operation: 'soft_delete',
+    before: untrashed(entry, row),
+    after: row
+  })));
+
+  return { trashed, group };
+}
+
+async function remove(req, res, next) {
+  try {
+    const { id } = req.params;
+    const entry = req.table;
+    let where;
+
+    // Conditional delete: check If-Match, then only delete that version
+    if (req.get('If-Match')) {
+      const current = await fetchCurrent(req.supabase, entry, id);
+
+      if (!checkIfMatch(req, res, entry, current)) return;
+
+      where = query => whereVersion(entry, current, query);
+    }
+
+    if (entry.softDelete) {
+      const { trashed, group } = await moveToTrash(req, [id], where);
+
+      if (where && trashed.length === 0) {
+        return sendPreconditionFailed(res, entry, await fetchCurrent(req.supabase, entry, id));
+      }
+
+      return res.json({ success: true, message: `${entry.name} ${id} moved to trash`, group });
+    }
+
+    const { data, error } = await queryTable(req.supabase, entry, query => {
+      const request = query.delete().eq(entry.primaryKey, id);
+      return (where ? where(request) : request).select();
+    });
+
+    if (error) throw error;
+
+    if (where && (!data || data.length === 0)) {
+      return sendPreconditionFailed(res, entry, await fetchCurrent(req.supabase, entry, id));
+    }
+
+    await afterWrite(req, entry, (data || []).map(row => ({ operation: 'delete', before: row })));
+    res.json({ success: true, message: `${entry.name} ${id} deleted successfully` });
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function removeMany(req, res, next) {
+  try {
+    const { ids } = req.params;
+    const entry = req.table;
+    const parts = ids.split(',');
+
+    if (parts.some(id => !/^\d+$/.test(id))) {
+      return sendError(res, 400, 'IDs must be comma-separated integers', { code: 'invalid_ids' });
+    }
+
+    const idArray = parts.map(id => parseInt(id, 10));
+
+    // One ETag cannot describe several rows
+    if (req.get('If-Match')) {
+      return sendError(res, 400, 'If-Match is only supported when deleting a single record');
+    }
+
+    if (entry.softDelete) {
+      const { trashed, group } = await moveToTrash(req, idArray);
+      return res.json({
+        success: true,
+        message: `${trashed.length} ${entry.name} records moved to trash`,
+        group
+      });
+    }
+
+    const { data, error } = await queryTable(req.supabase, entry, query => query
+      .delete()
+      .in(entry.primaryKey, idArray)
+      .select());
+
+    if (error) throw error;
+
+    const deleted = data || [];
+
+    await afterWrite(req, entry, deleted.map(row => ({ operation: 'delete', before: row })));
+    res.json({ success: true, message: `${deleted.length} ${entry.name} records deleted successfully` });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Shared handlers for a single table, mounted once per URL prefix
+function createTableRouter() {
+  const router = express.Router({ mergeParams: true });
+
+  // Reads are open; every mutation needs a valid access token.
+  // What each role may do is set in config/permissions.js.
+  router.get('/', permit('list'), list);
+  router.post('/', requireAuth, permit('create'), create);
+  router.get('/export', permit('list'), exportTable);
+  router.post('/import', requireAuth, permit('create'), importBodyParsers, importRows);
+  router.post('/batch', requireAuth, batchRows);
+  router.get('/stream', permit('list'), streamChanges);
+  router.get('/trash', requireSoftDelete, permit('list'), listTrash);
+  router.post('/trash/restore', requireAuth, requireSoftDelete, permit('delete'), restoreTrash);
+  router.delete('/trash', requireAuth, requireSoftDelete, permit('delete'), purgeTrash);
+  router.get('/:id', permit('read'), read);
+  router.put('/:id', requireAuth, permit('update'), update);
+  // Comma-separated IDs (e.g. /3,4,5) must be matched before the single-ID route
+  router.delete('/:ids([^/]*,[^/]*)', requireAuth, permit('delete'), removeMany);
+  router.delete('/:id', requireAuth, permit('delete'), remove);
+
+  return router;
+}
+
+// Data routes for every registered table
+function createDataRouter() {
+  const router = express.Router();
+  const tableRouter = createTableRouter();
+
+  // Run every data request through the caller's own Supabase client
+  router.use(authenticate);
+
+  router.use('/data/:table', resolveTable, tableRouter);
+
+  // Keep the original per-table URLs working as aliases
+  for (const entry of listTables()) {
+    router.use(`/${entry.name}`, useTable(entry), tableRouter);
+  }
+
+  return router;
+}
+
+module.exports = {
+  createDataRouter
+};
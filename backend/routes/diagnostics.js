@@ -0,0 +1,27 @@
+const express = require('express');
+const { authenticate, requireAuth } = require('../middleware/auth');
+const { requireRole } = require('../middleware/permissions');
+const { diagnosticsReport } = require('../lib/diagnostics');
+
+async function report(req, res, next) {
+  try {
+    res.set('Cache-Control', 'no-store');
+    res.json(await diagnosticsReport(req.supabase));
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Connectivity, table and cache report for admins. Only mounted with
+// DIAGNOSTICS_ENABLED=true.
+function createDiagnosticsRouter() {
+  const router = express.Router();
+
+  router.get('/', authenticate, requireAuth, requireRole('admin'), report);
+
+  return router;
+}
+
+module.exports = {
+  createDiagnosticsRouter
+};
@@ -0,0 +1,53 @@
+const express = require('express');
+const swaggerUi = require('swagger-ui-dist');
+const { buildSpec } = require('../lib/openapi');
+
+const SPEC_URL = '/api/openapi.json';
+
+// Swagger UI loads this script to find the document to render
+const INITIALIZER = `window.onload = function () {
+  window.ui = SwaggerUIBundle({
+    url: '${SPEC_URL}',
+    dom_id: '#swagger-ui',
+    deepLinking: true,
+    persistAuthorization: true,
+    presets: [SwaggerUIBundle.presets.apis, SwaggerUIStandalonePreset],
+    layout: 'StandaloneLayout'
+  });
+};
+`;
+
+// OpenAPI document at /api/openapi.json and interactive docs at /api/docs.
+// The document describes the routes registered on `app`, so it is built on
+// first request, once every router has been mounted.
+function createDocsRouter(app) {
+  const router = express.Router();
+  let spec = null;
+
+  router.get('/openapi.json', (req, res, next) => {
+    try {
+      spec = spec || buildSpec(app);
+      res.json(spec);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Relative asset URLs in the docs page need the trailing slash
+  router.get('/docs', (req, res, next) => {
+    if (req.originalUrl.split('?')[0].endsWith('/')) return next();
+    res.redirect(301, `${req.baseUrl}/docs/`);
+  });
+
+  router.get('/docs/swagger-initializer.js', (req, res) => {
+    res.type('application/javascript').send(INITIALIZER);
+  });
+
+  router.use('/docs', express.static(swaggerUi.getAbsoluteFSPath(), { index: 'index.html' }));
+
+  return router;
+}
+
+module.exports = {
+  createDocsRouter
+};
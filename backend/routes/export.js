@@ -0,0 +1,117 @@
+const { queryTable } = require('../lib/tables');
+const { ListQueryError, parseListQuery, applyListQuery } = require('../lib/listQuery');
+const { FORMATS, getFormat } = require('../lib/exporters');
+const { sendError } = require('../lib/errors');
+const { logError } = require('../lib/logger');
+
+// Rows fetched from Supabase per round trip
+const PAGE_SIZE = 1000;
+
+// Query parameters that belong to the export itself, not to the list query
+const EXPORT_PARAMS = ['format', 'filename', 'limit', 'offset', 'cursor'];
+
+// Strip path separators and control characters from a requested filename
+function safeFilename(name) {
+  return String(name).replace(/[\\/\0-\x1f\x7f"]/g, '').trim().slice(0, 200);
+}
+
+function defaultFilename(entry, extension) {
+  const date = new Date().toISOString().slice(0, 10);
+  return `${entry.name}-${date}.${extension}`;
+}
+
+// Columns to export: the requested ones, else those of the first row, else
+// the table's schema
+function exportColumns(entry, options, firstRow) {
+  if (options.columns) return options.columns;
+  if (firstRow) return Object.keys(firstRow);
+  return [entry.primaryKey, ...Object.keys(entry.schema || {})];
+}
+
+async function fetchExportPage(req, entry, options, page) {
+  const select = options.columns ? options.columns.join(',') : '*';
+
+  const { data, error } = await queryTable(req.supabase, entry, query => applyListQuery(
+    query.select(select), entry, { ...options, offset: page * PAGE_SIZE, limit: PAGE_SIZE }));
+
+  if (error) throw error;
+
+  return data || [];
+}
+
+// Stream a whole table as CSV, JSON, NDJSON or XLSX, page by page.
+// Honours the same sort, select and filter parameters as the list endpoint.
+async function exportTable(req, res, next) {
+  const entry = req.table;
+  const format = getFormat(req.query.format || 'csv');
+
+  if (!format) {
+    return sendError(res, 400, `format must be one of: ${Object.keys(FORMATS).join(', ')}`, { code: 'invalid_format' });
+  }
+
+  let options;
+
+  try {
+    const query = { ...req.query };
+    EXPORT_PARAMS.forEach(param => delete query[param]);
+    options = parseListQuery(entry, query);
+  } catch (error) {
+    if (error instanceof ListQueryError) {
+      return sendError(res, 400, error.message, { code: 'invalid_query' });
+    }
+    return next(error);
+  }
+
+  let rows;
+
+  // Fetch the first page before sending headers so failures can still be reported
+  try {
+    rows = await fetchExportPage(req, entry, options, 0);
+  } catch (error) {
+    return next(error);
+  }
+
+  const requested = req.query.filename ? safeFilename(req.query.filename) : '';
+  const filename = requested
+    ? (requested.toLowerCase().endsWith(`.${format.extension}`) ? requested : `${requested}.${format.extension}`)
+    : defaultFilename(entry, format.extension);
+
+  // res.attachment adds an RFC 5987 filename* for non-ASCII names
+  res.attachment(filename);
+  res.set('Content-Type', format.contentType);
+  res.set('Cache-Control', 'no-store');
+
+  let closed = false;
+  res.on('close', () => {
+    closed = !res.writableFinished;
+  });
+
+  const writer = format.create(res, exportColumns(entry, options, rows[0]), entry.table);
+
+  try {
+    let page = 0;
+
+    while (rows.length > 0 && !closed) {
+      for (const row of rows) {
+        await writer.write(row);
+      }
+
+      if (rows.length < PAGE_SIZE) break;
+
+      page++;
+      rows = await fetchExportPage(req, entry, options, page);
+    }
+
+    if (!closed) {
+      await writer.end();
+    }
+  } catch (error) {
+    // Headers are gone by now; cut the response so the client sees a failed download
+    logError(error, `${req.baseUrl}/export`);
+    res.destroy(error);
+  }
+}
+
+module.exports = {
+  exportTable
+};
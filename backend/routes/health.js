@@ -0,0 +1,87 @@
+const express = require('express');
+const { readyTimeoutMs } = require('../config');
+const { supabase, supabaseUrl, supabaseKey } = require('../lib/supabase');
+const { checkDatabase, checkAuth, checkCache } = require('../lib/diagnostics');
+const { tablesResolved } = require('../lib/schema');
+const { logger } = require('../lib/logger');
+
+// Dependencies checked by /readyz. Without a required one the server cannot
+// serve data; without the others it runs degraded (no logins, or no cache).
+const DEPENDENCIES = {
+  database: { required: true, check: () => checkDatabase(supabase, readyTimeoutMs) },
+  auth: { required: false, check: () => checkAuth(readyTimeoutMs) },
+  cache: { required: false, check: () => checkCache(readyTimeoutMs) }
+};
+
+// What an unauthenticated caller may see of a check: no error messages
+function publicCheck({ ok, latencyMs, error }) {
+  return { ok, latencyMs, ...(error && { error: error.code || 'unavailable' }) };
+}
+
+// Overall status: ok, degraded (an optional dependency is down) or
+// unavailable (a required one is)
+function readiness(checks) {
+  const failed = Object.keys(checks).filter(name => !checks[name].ok);
+
+  if (failed.some(name => DEPENDENCIES[name].required)) return 'unavailable';
+  if (failed.length > 0) return 'degraded';
+  return 'ok';
+}
+
+// Liveness, readiness and the legacy health check at /
+function createHealthRouter() {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    res.json({
+      status: 'ok',
+      message: 'Supabase proxy server is running',
+      // Kept for existing clients. It only says the server is configured;
+      // /readyz checks that Supabase answers.
+      supabaseConnected: !!supabaseUrl && !!supabaseKey
+    });
+  });
+
+  // The process is up and serving requests. Never calls Supabase, so an
+  // outage there does not get the server restarted.
+  router.get('/healthz', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+  });
+
+  // Whether the server can do its job right now. 503 only when a required
+  // dependency is down, so load balancers keep sending traffic while running
+  // degraded.
+  router.get('/readyz', async (req, res, next) => {
+    try {
+      res.set('Cache-Control', 'no-store');
+
+      // Real table names are still being looked up (see server.js)
+      if (!tablesResolved()) {
+        return res.status(503).json({ status: 'starting' });
+      }
+
+      const names = Object.keys(DEPENDENCIES);
+      const results = await Promise.all(names.map(name => DEPENDENCIES[name].check()));
+      const checks = Object.fromEntries(names.map((name, index) => [name, results[index]]));
+      const status = readiness(checks);
+
+      if (status !== 'ok') {
+        logger.warn('Readiness check failed', { status, checks });
+      }
+
+      res.status(status === 'unavailable' ? 503 : 200).json({
+        status,
+        checks: Object.fromEntries(names.map(name => [name, publicCheck(checks[name])]))
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createHealthRouter
+};
@@ -0,0 +1,256 @@
+const express = require('express');
+const { hasColumn, queryTable } = require('../lib/tables');
+const { validateRecord } = require('../lib/validation');
+const { CsvParseError, parseCsv } = require('../lib/csv');
+const { checkPermission } = require('../lib/permissions');
+const { afterWrite } = require('../lib/changes');
+const { toApiError, sendError } = require('../lib/errors');
+const { logError } = require('../lib/logger');
+
+const MAX_BODY_SIZE = '10mb';
+const MAX_ROWS = 5000;
+const CHUNK_SIZE = 500;
+
+// Imports carry whole spreadsheets, so they get a larger body limit than
+// regular writes. They are mounted on the import route after the caller is
+// authenticated and allowed to create, so anonymous requests cannot make the
+// server read 10 MB bodies; the global JSON parser skips imports.
+const importBodyParsers = [
+  express.json({ limit: MAX_BODY_SIZE }),
+  express.text({ type: ['text/csv', 'text/plain', 'application/csv'], limit: MAX_BODY_SIZE })
+];
+
+function isImportRequest(req) {
+  return req.method === 'POST' && /\/import$/.test(req.path);
+}
+
+function isTrue(value) {
+  return value === 'true' || value === '1' || value === true;
+}
+
+// Columns to upsert on: ?onConflict=a,b, by default the primary key. Each
+// must be a column of the table. Returns null when one is not.
+function readUpsertKey(req, entry) {
+  const { onConflict = entry.primaryKey } = req.query;
+
+  if (typeof onConflict !== 'string') {
+    return null;
+  }
+
+  const columns = onConflict.split(',').map(column => column.trim());
+
+  return columns.every(column => hasColumn(entry, column)) ? columns : null;
+}
+
+// Read the uploaded rows: a CSV body, a JSON array, or { rows, mapping }.
+// Returns records as { line, values } where `line` is the CSV line or the
+// 1-based position in the JSON array.
+function readRecords(req) {
+  if (typeof req.body === 'string') {
+    return parseCsv(req.body).records;
+  }
+
+  const rows = Array.isArray(req.body) ? req.body : req.body && req.body.rows;
+
+  if (!Array.isArray(rows)) {
+    return null;
+  }
+
+  return rows.map((values, index) => ({ line: index + 1, values }));
+}
+
+// Column mapping from source names to table fields, from ?map[Source]=Field
+// or a `mapping` object in a JSON body
+function readMapping(req) {
+  const mapping = (req.body && !Array.isArray(req.body) && typeof req.body === 'object' && req.body.mapping) ||
+    req.query.map ||
+    {};
+
+  return typeof mapping === 'object' && !Array.isArray(mapping) ? mapping : null;
+}
+
+// Rename source columns to table fields. Unmapped columns keep their name and
+// are dropped later by validation if the table does not know them.
+function applyMapping(values, mapping) {
+  const mapped = {};
+
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    return values;
+  }
+
+  for (const [column, value] of Object.entries(values)) {
+    const field = Object.prototype.hasOwnProperty.call(mapping, column) ? mapping[column] : column;
+
+    if (field) {
+      mapped[field] = value;
+    }
+  }
+
+  return mapped;
+}
+
+// Write valid rows in chunks. Stops at the first failed chunk and marks the
+// rest as skipped. Returns the number of rows written, their changes and the
+// error that stopped the import, if any.
+async function writeChunks(req, entry, rows, upsertKey) {
+  let written = 0;
+  const changes = [];
+
+  for (let start = 0; start < rows.length; start += CHUNK_SIZE) {
+    const chunk = rows.slice(start, start + CHUNK_SIZE);
+    const records = chunk.map(row => row.record);
+
+    const { data, error } = await queryTable(req.supabase, entry, query => (upsertKey
+      ? query.upsert(records, { onConflict: upsertKey }).select()
+      : query.insert(records).select()));
+
+    if (error) {
+      const { code, message } = toApiError(error);
+
+      logError(error, `${req.baseUrl}/import`);
+
+      chunk.forEach(row => {
+        row.result.status = 'failed';
+        row.result.errors = [{ field: null, code, message }];
+      });
+      rows.slice(start + CHUNK_SIZE).forEach(row => {
+        row.result.status = 'skipped';
+      });
+
+      return { written, changes, error };
+    }
+
+    chunk.forEach(row => {
+      row.result.status = upsertKey ? 'upserted' : 'inserted';
+    });
+    written += chunk.length;
+
+    // Upserts do not say which rows already existed, so they are recorded
+    // with the written row only
+    (data || []).forEach(row => changes.push({ operation: upsertKey ? 'upsert' : 'create', after: row }));
+  }
+
+  return { written, changes, error: null };
+}
+
+// Bulk import rows from CSV or JSON, validated like single-row creates
+async function importRows(req, res, next) {
+  try {
+    const entry = req.table;
+    const dryRun = isTrue(req.query.dryRun);
+    const skipInvalid = isTrue(req.query.skipInvalid);
+    const upsert = isTrue(req.query.upsert);
+    const upsertColumns = upsert ? readUpsertKey(req, entry) : [];
+
+    if (!upsertColumns) {
+      return sendError(res, 400, `onConflict must name columns of ${entry.name}`, { code: 'unknown_column' });
+    }
+
+    const upsertKey = upsertColumns.length > 0 ? upsertColumns.join(',') : null;
+
+    if (upsert) {
+      const reason = checkPermission(req.role, entry.name, 'update');
+
+      if (reason) {
+        return sendError(res, 403, `Role '${req.role}' may not update ${entry.name}`, {
+          reason,
+          role: req.role,
+          table: entry.name,
+          operation: 'update'
+        });
+      }
+    }
+
+    const mapping = readMapping(req);
+
+    if (!mapping) {
+      return sendError(res, 400, 'mapping must be an object of source column to field');
+    }
+
+    let records;
+
+    try {
+      records = readRecords(req);
+    } catch (error) {
+      if (error instanceof CsvParseError) {
+        return sendError(res, 400, 'Invalid CSV', { code: 'invalid_csv', details: error.message, line: error.line });
+      }
+      throw error;
+    }
+
+    if (!records) {
+      return sendError(res, 400, 'Send a CSV body, a JSON array or { rows: [...] }');
+    }
+
+    if (records.length === 0) {
+      return sendError(res, 400, 'No rows to import');
+    }
+
+    if (records.length > MAX_ROWS) {
+      return sendError(res, 413, `Imports are limited to ${MAX_ROWS} rows`);
+    }
+
+    // Validate every row with the same rules as single-row writes
+    const rows = records.map(({ line, values }) => {
+      const mapped = applyMapping(values, mapping);
+      const { value: record, errors } = validateRecord(entry, mapped);
+
+      // The upsert key may be a protected column such as id; keep it
+      for (const column of upsertColumns) {
+        if (mapped && mapped[column] !== undefined && mapped[column] !== '') {
+          record[column] = mapped[column];
+        }
+      }
+
+      return {
+        record,
+        result: errors.length > 0
+          ? { row: line, status: 'invalid', errors }
+          : { row: line, status: 'valid' }
+      };
+    });
+
+    const valid = rows.filter(row => row.result.status === 'valid');
+    const invalidCount = rows.length - valid.length;
+    const report = {
+      dryRun,
+      total: rows.length,
+      valid: valid.length,
+      invalid: invalidCount,
+      written: 0,
+      results: rows.map(row => row.result)
+    };
+
+    if (dryRun) {
+      return res.json(report);
+    }
+
+    if (invalidCount > 0 && !skipInvalid) {
+      return sendError(res, 422, 'Validation failed; nothing was imported. Fix the rows or pass skipInvalid=true.', report);
+    }
+
+    const { written, changes, error } = await writeChunks(req, entry, valid, upsertKey);
+
+    // One cache clear and stream update for the whole import
+    if (written > 0) {
+      await afterWrite(req, entry, changes);
+    }
+
+    report.written = written;
+
+    if (error) {
+      const { status, code, message } = toApiError(error);
+      return sendError(res, status, `Import stopped after a failed chunk: ${message}`, { code, ...report });
+    }
+
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  importBodyParsers,
+  isImportRequest,
+  importRows
+};
@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+const express = require('express');
+const config = require('../config');
+const { register } = require('../lib/metrics');
+const { sendError } = require('../lib/errors');
+
+function digest(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+// Compare hashes so the check takes the same time whatever the token
+function hasMetricsToken(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+  return !!match && crypto.timingSafeEqual(digest(match[1]), digest(config.metrics.token));
+}
+
+// Prometheus text exposition of lib/metrics.js. Scrapers authenticate with
+// `Authorization: Bearer $METRICS_TOKEN`.
+function createMetricsRouter() {
+  const router = express.Router();
+
+  router.get('/', async (req, res, next) => {
+    if (!hasMetricsToken(req)) {
+      return sendError(res, 401, 'A valid metrics token is required', { code: 'invalid_metrics_token' });
+    }
+
+    try {
+      res.type(register.contentType).send(await register.metrics());
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createMetricsRouter
+};
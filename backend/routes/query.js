@@ -0,0 +1,123 @@
+const express = require('express');
+const { findTable, hasColumn, queryTable } = require('../lib/tables');
+const { FilterSyntaxError, parseTableFilter, applyFilterTree } = require('../lib/filterGrammar');
+const { hideDeleted } = require('../lib/softDelete');
+const { authenticate } = require('../middleware/auth');
+const { authorize } = require('../middleware/permissions');
+const { sendError } = require('../lib/errors');
+
+const MAX_LIMIT = 1000;
+
+// Only registered, queryable tables can be reached through /api/query
+function resolveQueryTable(req, res, next) {
+  const entry = findTable(req.params.table);
+
+  if (!entry || !entry.queryable) {
+    return sendError(res, 404, `Table is not available for querying: ${req.params.table}`, { code: 'unknown_table' });
+  }
+
+  req.table = entry;
+  next();
+}
+
+// Validate the select list against the table's columns
+function parseSelect(entry, select) {
+  if (select === '*') {
+    return select;
+  }
+
+  const columns = String(select).split(',').map(column => column.trim());
+  const unknown = columns.filter(column => !hasColumn(entry, column));
+
+  if (columns.some(column => !column) || unknown.length > 0) {
+    return null;
+  }
+
+  return columns.join(',');
+}
+
+// Generic query endpoint - can be used to query any registered table and column
+async function query(req, res, next) {
+  try {
+    const entry = req.table;
+    const {
+      select = '*',
+      limit = 100,
+      order_by = entry.primaryKey,
+      order_direction = 'asc',
+      filter
+    } = req.query;
+
+    const columns = parseSelect(entry, select);
+
+    if (!columns) {
+      return sendError(res, 400, `Invalid select list: ${select}`);
+    }
+
+    if (!hasColumn(entry, order_by)) {
+      return sendError(res, 400, `Cannot order by unknown column '${order_by}'`);
+    }
+
+    if (order_direction !== 'asc' && order_direction !== 'desc') {
+      return sendError(res, 400, "order_direction must be 'asc' or 'desc'");
+    }
+
+    const rowLimit = Number(limit);
+
+    if (!Number.isInteger(rowLimit) || rowLimit < 1 || rowLimit > MAX_LIMIT) {
+      return sendError(res, 400, `limit must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+
+    let tree = null;
+
+    if (filter !== undefined) {
+      if (typeof filter !== 'string' || filter === '') {
+        return sendError(res, 400, 'filter must be a single non-empty expression');
+      }
+
+      try {
+        tree = parseTableFilter(entry, filter);
+      } catch (error) {
+        if (error instanceof FilterSyntaxError) {
+          return sendError(res, 400, 'Invalid filter', {
+            code: 'invalid_filter',
+            details: error.message,
+            position: error.position,
+            clause: error.clause
+          });
+        }
+        throw error;
+      }
+    }
+
+    const { data, error } = await queryTable(req.supabase, entry, builder => {
+      let request = hideDeleted(entry, builder.select(columns));
+
+      if (tree) {
+        request = applyFilterTree(request, tree);
+      }
+
+      return request
+        .order(order_by, { ascending: order_direction === 'asc' })
+        .limit(rowLimit);
+    });
+
+    if (error) throw error;
+
+    res.json(data || []);
+  } catch (error) {
+    next(error);
+  }
+}
+
+function createQueryRouter() {
+  const router = express.Router();
+
+  router.get('/:table', authenticate, resolveQueryTable, authorize('list'), query);
+
+  return router;
+}
+
+module.exports = {
+  createQueryRouter
+};
@@ -0,0 +1,73 @@
+const express = require('express');
+const { findTable } = require('../lib/tables');
+const { SchemaUnavailableError, fetchSchema, matchTable, describeTable } = require('../lib/schema');
+const { resolveRole, checkPermission } = require('../lib/permissions');
+const { authenticate } = require('../middleware/auth');
+const { authorize } = require('../middleware/permissions');
+const { sendError } = require('../lib/errors');
+
+// The catalog function is optional; say so instead of failing
+function sendSchemaError(res, next, error) {
+  if (error instanceof SchemaUnavailableError) {
+    return sendError(res, 501, error.message, { code: 'schema_unavailable' });
+  }
+
+  next(error);
+}
+
+// The catalog function is open to anon, so only tables served here, and that
+// the caller's role may list, are described
+async function listSchema(req, res, next) {
+  try {
+    const role = resolveRole(req.user);
+    const tables = (await fetchSchema(req.supabase))
+      .map(describeTable)
+      .filter(table => table.resource && !checkPermission(role, table.resource, 'list'));
+
+    res.json({ tables });
+  } catch (error) {
+    sendSchemaError(res, next, error);
+  }
+}
+
+// Registered table for the :table parameter, by registry name (events) or
+// real name (Event)
+function resolveSchemaTable(req, res, next) {
+  const entry = findTable(req.params.table);
+
+  if (!entry) {
+    return sendError(res, 404, `Unknown table: ${req.params.table}`, { code: 'unknown_table' });
+  }
+
+  req.table = entry;
+  next();
+}
+
+async function tableSchema(req, res, next) {
+  try {
+    const entry = req.table;
+    const match = matchTable(entry.table, await fetchSchema(req.supabase));
+
+    if (!match) {
+      return sendError(res, 404, `Table ${entry.table} is not in the database catalog`, { code: 'unknown_table' });
+    }
+
+    res.json(describeTable(match));
+  } catch (error) {
+    sendSchemaError(res, next, error);
+  }
+}
+
+function createSchemaRouter() {
+  const router = express.Router();
+
+  router.use(authenticate);
+  router.get('/', listSchema);
+  router.get('/:table', resolveSchemaTable, authorize('list'), tableSchema);
+
+  return router;
+}
+
+module.exports = {
+  createSchemaRouter
+};
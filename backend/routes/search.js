@@ -0,0 +1,139 @@
+const express = require('express');
+const { getTable, listTables, queryTable } = require('../lib/tables');
+const { cacheScope, cachedRows, markStale } = require('../lib/cache');
+const { quote } = require('../lib/filterGrammar');
+const { tokenize, rankRows } = require('../lib/search');
+const { hideDeleted } = require('../lib/softDelete');
+const { resolveRole, checkPermission } = require('../lib/permissions');
+const { authenticate } = require('../middleware/auth');
+const { sendError } = require('../lib/errors');
+const { isUpstreamError } = require('../lib/resilience');
+const { logger } = require('../lib/logger');
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 200;
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 50;
+
+// Rows fetched from Supabase per table before ranking
+const CANDIDATE_LIMIT = 100;
+
+// Tables the caller asked for and is allowed to list
+function searchableTables(req, names) {
+  const role = resolveRole(req.user);
+  const entries = names ? names.map(getTable) : listTables();
+
+  return entries.filter(entry => entry.searchColumns.length > 0 &&
+    !checkPermission(role, entry.name, 'list'));
+}
+
+// Let Supabase narrow down candidates: full-text search on the table's
+// tsvector column when it has one, otherwise ilike on each search column.
+// Ranking keeps only rows that match every term, so each term gets its own
+// or() group and PostgREST ANDs the groups: the capped candidate set never
+// spends its room on rows that match just one term.
+async function fetchCandidates(client, entry, query, terms) {
+  const { data, error } = await queryTable(client, entry, builder => {
+    let request = hideDeleted(entry, builder.select('*'));
+
+    if (entry.searchVector) {
+      request = request.textSearch(entry.searchVector, query, { type: 'websearch' });
+    } else {
+      for (const term of terms) {
+        request = request.or(entry.searchColumns
+          .map(column => `${column}.ilike.${quote(`*${term}*`)}`)
+          .join(','));
+      }
+    }
+
+    return request.limit(CANDIDATE_LIMIT);
+  });
+
+  if (error) throw error;
+
+  return data || [];
+}
+
+// Search one table, falling back to cached rows while Supabase is
+// unavailable. Any other failure, such as a query PostgREST rejects, is an
+// error rather than an empty result.
+async function searchTable(req, entry, query, terms, limit) {
+  try {
+    const rows = await fetchCandidates(req.supabase, entry, query, terms);
+
+    return { table: entry.name, source: 'supabase', ...rankRows(entry, rows, terms, limit, !!entry.searchVector) };
+  } catch (error) {
+    if (!isUpstreamError(error)) throw error;
+
+    logger.warn('Searching cached rows while Supabase is unavailable', { table: entry.name, code: error.code });
+
+    const rows = await cachedRows(entry, cacheScope(req));
+
+    return { table: entry.name, source: 'cache', ...rankRows(entry, rows, terms, limit) };
+  }
+}
+
+// Cross-table search over every registered table's search columns
+async function search(req, res, next) {
+  try {
+    const { q, tables } = req.query;
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : DEFAULT_LIMIT;
+
+    if (typeof q !== 'string' || q.trim().length < MIN_QUERY_LENGTH || q.length > MAX_QUERY_LENGTH) {
+      return sendError(res, 400, `q must be between ${MIN_QUERY_LENGTH} and ${MAX_QUERY_LENGTH} characters`);
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return sendError(res, 400, `limit must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+
+    let names = null;
+
+    if (tables !== undefined) {
+      names = String(tables).split(',').map(name => name.trim()).filter(Boolean);
+      const unknown = names.filter(name => !getTable(name));
+
+      if (unknown.length > 0) {
+        return sendError(res, 400, `Unknown tables: ${unknown.join(', ')}`, { code: 'unknown_table' });
+      }
+    }
+
+    const terms = tokenize(q);
+
+    if (terms.length === 0) {
+      return sendError(res, 400, 'q must contain at least one search term');
+    }
+
+    const entries = searchableTables(req, names);
+    const groups = await Promise.all(entries.map(entry => searchTable(req, entry, q.trim(), terms, limit)));
+
+    // Best matching tables first
+    const results = groups
+      .filter(group => group.total > 0)
+      .sort((a, b) => b.hits[0].score - a.hits[0].score);
+
+    if (groups.some(group => group.source === 'cache')) {
+      markStale(res);
+    }
+
+    res.json({
+      query: q.trim(),
+      searched: entries.map(entry => entry.name),
+      results
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+function createSearchRouter() {
+  const router = express.Router();
+
+  router.get('/', authenticate, search);
+
+  return router;
+}
+
+module.exports = {
+  createSearchRouter
+};
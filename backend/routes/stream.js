@@ -0,0 +1,118 @@
+const { eventsSince, subscribe } = require('../lib/changeFeed');
+const { queryTable } = require('../lib/tables');
+const { sendError } = require('../lib/errors');
+const { logError } = require('../lib/logger');
+
+// Keep idle connections (and proxies in between) from timing out
+const HEARTBEAT_INTERVAL = 25000;
+
+// Reconnect delay suggested to EventSource clients, in ms
+const RETRY_DELAY = 3000;
+
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+function writeReset(res, entry, reason) {
+  res.write(`event: reset\ndata: ${JSON.stringify({ table: entry.name, reason })}\n\n`);
+}
+
+// Whether the subscriber may read the row, asked with their own client so
+// row-level security decides. Trashed rows count: their delete is news.
+async function canRead(req, entry, row) {
+  const id = row && row[entry.primaryKey];
+
+  if (id === undefined || id === null) return false;
+
+  const { data, error } = await queryTable(req.supabase, entry, query => query
+    .select(entry.primaryKey)
+    .eq(entry.primaryKey, id)
+    .maybeSingle());
+
+  if (error) throw error;
+
+  return !!data;
+}
+
+// The event as this subscriber may see it, or null. A removed row cannot be
+// read back, so its delete only carries the primary key.
+async function eventFor(req, entry, event) {
+  if (await canRead(req, entry, event.row)) {
+    return event;
+  }
+
+  if (event.type === 'delete') {
+    return { ...event, row: { [entry.primaryKey]: event.row[entry.primaryKey] }, old: null };
+  }
+
+  return null;
+}
+
+// Server-Sent Events stream of a table's inserts, updates and deletes.
+// Reconnecting clients send Last-Event-ID (or ?lastEventId=) to receive the
+// events they missed; when those are gone a `reset` event tells them to
+// reload the table instead.
+//
+// Every event is checked against the subscriber's row-level security before
+// it is sent, one at a time so they keep their order. If the check fails,
+// the client is told to reload rather than silently missing the event.
+function streamChanges(req, res) {
+  const entry = req.table;
+
+  if (!entry.stream) {
+    return sendError(res, 404, `${entry.name} does not stream changes`);
+  }
+
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  let closed = false;
+  let queue = Promise.resolve();
+
+  function send(event) {
+    queue = queue.then(async () => {
+      if (closed) return;
+
+      try {
+        const visible = await eventFor(req, entry, event);
+
+        if (visible && !closed) writeEvent(res, visible);
+      } catch (error) {
+        logError(error, `${req.baseUrl}/stream`);
+        if (!closed) writeReset(res, entry, 'check_failed');
+      }
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_DELAY}\n\n`);
+
+  // Listen before replaying so nothing published in between is lost
+  const unsubscribe = subscribe(entry.name, send);
+
+  if (lastEventId) {
+    const missed = eventsSince(entry.name, lastEventId);
+
+    if (missed) {
+      missed.forEach(send);
+    } else {
+      writeReset(res, entry, 'history_unavailable');
+    }
+  }
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}
+
+module.exports = {
+  streamChanges
+};
@@ -0,0 +1,129 @@
+const { queryTable } = require('../lib/tables');
+const { cacheKey, getCachedOrFetch, markStale } = require('../lib/cache');
+const { ListQueryError, parseListQuery, selectList, applyListQuery } = require('../lib/listQuery');
+const { findTrashed, restoreRows, retentionCutoff, purgeExpired } = require('../lib/softDelete');
+const { afterWrite } = require('../lib/changes');
+const { sendError } = require('../lib/errors');
+
+const MAX_RESTORE_IDS = 1000;
+
+// Trash endpoints only exist on soft-delete tables
+function requireSoftDelete(req, res, next) {
+  if (!req.table.softDelete) {
+    return sendError(res, 404, `${req.table.name} does not keep deleted rows`, { code: 'no_trash' });
+  }
+
+  next();
+}
+
+// List trashed rows. Takes the same paging, sort, select and filter
+// parameters as the list endpoint.
+async function listTrash(req, res, next) {
+  try {
+    const entry = req.table;
+    const options = parseListQuery(entry, req.query);
+    const { column, groupColumn } = entry.softDelete;
+
+    options.trash = { column, deleted: true };
+
+    // Always return the markers so rows can be restored by group
+    if (options.columns) {
+      options.columns = Array.from(new Set([...options.columns, column, groupColumn]));
+    }
+
+    const key = cacheKey(req, 'trash', JSON.stringify(options));
+
+    const rows = await getCachedOrFetch(entry, key, async () => {
+      const { data, error } = await queryTable(req.supabase, entry, query => applyListQuery(
+        query.select(selectList(entry, options)), entry, options));
+
+      if (error) throw error;
+
+      return data || [];
+    }, ageMs => markStale(res, ageMs));
+
+    res.set('X-Purge-Before', retentionCutoff(entry));
+    res.json(rows);
+  } catch (error) {
+    if (error instanceof ListQueryError) {
+      return sendError(res, 400, error.message, { code: 'invalid_query' });
+    }
+
+    next(error);
+  }
+}
+
+// Restore trashed rows. Body: { ids: [...] } or { group: "<delete group>" }
+async function restoreTrash(req, res, next) {
+  try {
+    const entry = req.table;
+    const { ids, group } = req.body || {};
+
+    if ((ids === undefined) === (group === undefined)) {
+      return sendError(res, 400, 'Send either ids or group');
+    }
+
+    if (ids !== undefined && (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_RESTORE_IDS)) {
+      return sendError(res, 400, `ids must be an array of 1 to ${MAX_RESTORE_IDS} IDs`);
+    }
+
+    if (group !== undefined && (typeof group !== 'string' || group === '')) {
+      return sendError(res, 400, 'group must be a delete group id');
+    }
+
+    // Keep the trashed rows for the change events
+    const { data: trashed, error: readError } = await findTrashed(req.supabase, entry, { ids, group });
+
+    if (readError) throw readError;
+
+    const { data, error } = await restoreRows(req.supabase, entry, { ids, group });
+
+    if (error) throw error;
+
+    const restored = data || [];
+
+    if (restored.length === 0) {
+      return sendError(res, 404, `No trashed ${entry.name} records matched`);
+    }
+
+    const before = new Map((trashed || []).map(row => [String(row[entry.primaryKey]), row]));
+
+    await afterWrite(req, entry, restored.map(row => ({
+      operation: 'restore',
+      before: before.get(String(row[entry.primaryKey])) || null,
+      after: row
+    })));
+
+    res.json({ success: true, restored: restored.length, rows: restored });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Permanently delete rows that have been in the trash longer than the
+// table's retention period
+async function purgeTrash(req, res, next) {
+  try {
+    const entry = req.table;
+    const { data, error } = await purgeExpired(req.supabase, entry);
+
+    if (error) throw error;
+
+    const purged = data || [];
+
+    if (purged.length > 0) {
+      await afterWrite(req, entry, purged.map(row => ({ operation: 'purge', before: row })));
+    }
+
+    res.json({ success: true, purged: purged.length, before: retentionCutoff(entry) });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  requireSoftDelete,
+  listTrash,
+  restoreTrash,
+  purgeTrash
+};
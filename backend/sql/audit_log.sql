@@ -0,0 +1,130 @@
+-- audit_log: one row per data change.
+--
+-- Entries are written by the audit_row_change trigger on each registered
+-- table, inside the transaction that made the change, and read by
+-- GET /api/audit. The trigger function is security definer, so callers
+-- never need (or get) insert rights on the log: an entry cannot be forged
+-- through the API, and a change cannot commit without its entry. Only admins
+-- (app_metadata.role = 'admin') may read entries. Nobody may write, update
+-- or delete them through the API.
+--
+-- The triggers below cover the tables in config/tables.js; their arguments
+-- are the registry name used by GET /api/audit?table=, the primary key and,
+-- for soft-delete tables, the trash column. Add a trigger for every table
+-- registered later.
+
+create table if not exists public.audit_log (
+  id bigint generated always as identity primary key,
+  actor_id uuid,
+  actor_email text,
+  actor_role text,
+  table_name text not null,
+  row_id text,
+  operation text not null,
+  changed_at timestamptz not null default now(),
+  diff jsonb not null default '{}'::jsonb,
+  before jsonb,
+  after jsonb
+);
+
+create index if not exists audit_log_table_row_idx on public.audit_log (table_name, row_id);
+create index if not exists audit_log_actor_idx on public.audit_log (actor_id);
+create index if not exists audit_log_changed_at_idx on public.audit_log (changed_at desc);
+
+alter table public.audit_log enable row level security;
+
+-- Earlier versions let callers insert entries in their own name
+drop policy if exists audit_log_insert_own on public.audit_log;
+
+drop policy if exists audit_log_select_admin on public.audit_log;
+create policy audit_log_select_admin on public.audit_log
+  for select to authenticated
+  using ((auth.jwt() -> 'app_metadata' ->> 'role') = 'admin');
+
+revoke all on public.audit_log from anon, authenticated;
+grant select on public.audit_log to authenticated;
+
+-- Record one row change. Arguments: registry name, primary key column and
+-- optional trash column.
+create or replace function public.audit_row_change()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  registry_name text := tg_argv[0];
+  key_column text := tg_argv[1];
+  trash_column text := tg_argv[2];
+  old_row jsonb := case when tg_op in ('UPDATE', 'DELETE') then to_jsonb(old) end;
+  new_row jsonb := case when tg_op in ('INSERT', 'UPDATE') then to_jsonb(new) end;
+  operation text;
+  changes jsonb;
+  claims jsonb := auth.jwt();
+begin
+  operation := case tg_op
+    when 'INSERT' then 'create'
+    when 'UPDATE' then case
+      when old_row->>trash_column is null and new_row->>trash_column is not null then 'soft_delete'
+      when old_row->>trash_column is not null and new_row->>trash_column is null then 'restore'
+      else 'update'
+    end
+    else case
+      when old_row->>trash_column is not null then 'purge'
+      else 'delete'
+    end
+  end;
+
+  -- Field-level diff: { field: { before, after } }
+  select coalesce(jsonb_object_agg(field, jsonb_build_object(
+           'before', coalesce(old_row->field, 'null'::jsonb),
+           'after', coalesce(new_row->field, 'null'::jsonb))), '{}'::jsonb)
+    into changes
+    from (
+      select jsonb_object_keys(coalesce(old_row, '{}'::jsonb)) as field
+      union
+      select jsonb_object_keys(coalesce(new_row, '{}'::jsonb))
+    ) as fields
+    where coalesce(old_row->field, 'null'::jsonb) is distinct from coalesce(new_row->field, 'null'::jsonb);
+
+  -- Updates that change nothing are not recorded
+  if operation = 'update' and changes = '{}'::jsonb then
+    return null;
+  end if;
+
+  insert into public.audit_log (actor_id, actor_email, actor_role, table_name, row_id, operation, diff, before, after)
+  values (
+    auth.uid(),
+    claims->>'email',
+    -- Same fallback as lib/permissions.js; jobs without a user have no role
+    case when auth.uid() is not null
+      then coalesce(claims->'app_metadata'->>'role', claims->>'user_role', 'viewer') end,
+    registry_name,
+    coalesce(new_row, old_row)->>key_column,
+    operation,
+    changes,
+    old_row,
+    new_row
+  );
+
+  return null;
+end;
+$$;
+
+revoke all on function public.audit_row_change() from public, anon, authenticated;
+
+drop trigger if exists audit_row_change on public."Professors";
+create trigger audit_row_change after insert or update or delete on public."Professors"
+  for each row execute function public.audit_row_change('professors', 'id');
+
+drop trigger if exists audit_row_change on public."ITCourses";
+create trigger audit_row_change after insert or update or delete on public."ITCourses"
+  for each row execute function public.audit_row_change('itcourses', 'id');
+
+drop trigger if exists audit_row_change on public."File_link";
+create trigger audit_row_change after insert or update or delete on public."File_link"
+  for each row execute function public.audit_row_change('file_link', 'id', 'deleted_at');
+
+drop trigger if exists audit_row_change on public."Event";
+create trigger audit_row_change after insert or update or delete on public."Event"
+  for each row execute function public.audit_row_change('events', 'id', 'deleted_at');
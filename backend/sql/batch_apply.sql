@@ -0,0 +1,142 @@
+-- batch_apply: apply a list of create/update/delete operations to one table
+-- in a single transaction.
+--
+-- Used by POST /api/:table/batch with "atomic": true. If any operation fails
+-- the whole batch is rolled back. The function runs with the caller's
+-- privileges (security invoker), so row-level security policies still apply.
+--
+-- Only the tables listed in batch_apply_tables can be written; keep it in
+-- sync with config/tables.js. On tables with a trash column, updates and
+-- deletes only touch rows that are not in the trash.
+--
+-- p_operations is a JSON array of:
+--   { "op": "create", "data": { ... } }
+--   { "op": "update", "id": 3, "data": { ... } }
+--   { "op": "delete", "id": 4 }
+--
+-- Returns a JSON array of { index, op, row, before } with the affected row of
+-- each operation and, for updates and deletes, the row as it was before (used
+-- for stream events).
+
+create table if not exists public.batch_apply_tables (
+  table_name text primary key,
+  primary_key text not null default 'id',
+  deleted_column text
+);
+
+insert into public.batch_apply_tables (table_name, primary_key, deleted_column) values
+  ('Professors', 'id', null),
+  ('ITCourses', 'id', null),
+  ('File_link', 'id', 'deleted_at'),
+  ('Event', 'id', 'deleted_at')
+on conflict (table_name) do update
+  set primary_key = excluded.primary_key,
+      deleted_column = excluded.deleted_column;
+
+-- Readable by callers, since batch_apply runs with their privileges, but
+-- only changed from the SQL editor
+alter table public.batch_apply_tables enable row level security;
+
+drop policy if exists "batch_apply_tables are readable" on public.batch_apply_tables;
+create policy "batch_apply_tables are readable" on public.batch_apply_tables
+  for select to authenticated using (true);
+
+revoke all on public.batch_apply_tables from anon, authenticated;
+grant select on public.batch_apply_tables to authenticated;
+
+-- Earlier versions took the primary key from the caller
+drop function if exists public.batch_apply(text, text, jsonb);
+
+create or replace function public.batch_apply(
+  p_table text,
+  p_operations jsonb
+)
+returns jsonb
+language plpgsql
+security invoker
+as $$
+declare
+  item jsonb;
+  idx integer := 0;
+  columns text;
+  key_column text;
+  live text := '';
+  affected jsonb;
+  previous jsonb;
+  results jsonb := '[]'::jsonb;
+begin
+  select registered.primary_key,
+         case when registered.deleted_column is null then ''
+              else format(' and t.%I is null', registered.deleted_column) end
+    into key_column, live
+    from public.batch_apply_tables as registered
+    where registered.table_name = p_table;
+
+  if not found then
+    raise exception 'table % is not open to batch_apply', p_table
+      using errcode = '42501';
+  end if;
+
+  for item in select value from jsonb_array_elements(p_operations)
+  loop
+    begin
+      affected := null;
+      previous := null;
+
+      if item->>'op' in ('create', 'update') then
+        select string_agg(format('%I', key), ', ')
+          into columns
+          from jsonb_object_keys(item->'data') as key;
+
+        if columns is null then
+          raise exception 'no fields to write';
+        end if;
+      end if;
+
+      case item->>'op'
+        when 'create' then
+          execute format(
+            'insert into %I (%s) select %s from jsonb_populate_record(null::%I, $1) returning to_jsonb(%I.*)',
+            p_table, columns, columns, p_table, p_table
+          ) into affected using item->'data';
+
+        when 'update' then
+          execute format(
+            'select to_jsonb(t.*) from %I as t where t.%I::text = $1%s',
+            p_table, key_column, live
+          ) into previous using item->>'id';
+
+          execute format(
+            'update %I as t set (%s) = (select %s from jsonb_populate_record(null::%I, $1)) where t.%I::text = $2%s returning to_jsonb(t.*)',
+            p_table, columns, columns, p_table, key_column, live
+          ) into affected using item->'data', item->>'id';
+
+        when 'delete' then
+          execute format(
+            'delete from %I as t where t.%I::text = $1%s returning to_jsonb(t.*)',
+            p_table, key_column, live
+          ) into affected using item->>'id';
+
+          previous := affected;
+
+        else
+          raise exception 'unknown operation %', item->>'op';
+      end case;
+
+      if affected is null then
+        raise exception 'no row with % = %', key_column, item->>'id'
+          using errcode = 'P0002';
+      end if;
+    exception when others then
+      raise exception 'batch item %: %', idx, sqlerrm using errcode = sqlstate;
+    end;
+
+    results := results || jsonb_build_object('index', idx, 'op', item->>'op', 'row', affected, 'before', previous);
+    idx := idx + 1;
+  end loop;
+
+  return results;
+end;
+$$;
+
+grant execute on function public.batch_apply(text, jsonb) to authenticated;
@@ -0,0 +1,75 @@
+-- get_schema: describe the tables and views in the public schema from the
+-- Postgres catalog.
+--
+-- Used by GET /api/schema and at startup to resolve the real (case-sensitive)
+-- name of every registered table. Runs with the caller's privileges and only
+-- lists relations the caller may select from.
+--
+-- Returns a JSON array of:
+--   { name, kind, columns: [{ name, type, nullable, default, position }],
+--     primaryKey: [column, ...],
+--     foreignKeys: [{ name, columns, references: { table, columns } }] }
+
+create or replace function public.get_schema()
+returns jsonb
+language sql
+stable
+security invoker
+as $$
+  select coalesce(jsonb_agg(info order by info->>'name'), '[]'::jsonb)
+  from (
+    select jsonb_build_object(
+      'name', c.relname,
+      'kind', case when c.relkind in ('r', 'p') then 'table'
+                   when c.relkind = 'v' then 'view'
+                   else 'materialized_view' end,
+      'columns', (
+        select coalesce(jsonb_agg(jsonb_build_object(
+          'name', a.attname,
+          'type', pg_catalog.format_type(a.atttypid, a.atttypmod),
+          'nullable', not a.attnotnull,
+          'default', pg_catalog.pg_get_expr(d.adbin, d.adrelid),
+          'position', a.attnum
+        ) order by a.attnum), '[]'::jsonb)
+        from pg_catalog.pg_attribute a
+        left join pg_catalog.pg_attrdef d on d.adrelid = a.attrelid and d.adnum = a.attnum
+        where a.attrelid = c.oid and a.attnum > 0 and not a.attisdropped
+      ),
+      'primaryKey', (
+        select coalesce(jsonb_agg(a.attname order by k.ord), '[]'::jsonb)
+        from pg_catalog.pg_constraint con
+        cross join unnest(con.conkey) with ordinality as k(attnum, ord)
+        join pg_catalog.pg_attribute a on a.attrelid = con.conrelid and a.attnum = k.attnum
+        where con.conrelid = c.oid and con.contype = 'p'
+      ),
+      'foreignKeys', (
+        select coalesce(jsonb_agg(jsonb_build_object(
+          'name', con.conname,
+          'columns', (
+            select jsonb_agg(a.attname order by k.ord)
+            from unnest(con.conkey) with ordinality as k(attnum, ord)
+            join pg_catalog.pg_attribute a on a.attrelid = con.conrelid and a.attnum = k.attnum
+          ),
+          'references', jsonb_build_object(
+            'table', ref.relname,
+            'columns', (
+              select jsonb_agg(a.attname order by k.ord)
+              from unnest(con.confkey) with ordinality as k(attnum, ord)
+              join pg_catalog.pg_attribute a on a.attrelid = con.confrelid and a.attnum = k.attnum
+            )
+          )
+        ) order by con.conname), '[]'::jsonb)
+        from pg_catalog.pg_constraint con
+        join pg_catalog.pg_class ref on ref.oid = con.confrelid
+        where con.conrelid = c.oid and con.contype = 'f'
+      )
+    ) as info
+    from pg_catalog.pg_class c
+    join pg_catalog.pg_namespace n on n.oid = c.relnamespace
+    where n.nspname = 'public'
+      and c.relkind in ('r', 'p', 'v', 'm')
+      and pg_catalog.has_table_privilege(c.oid, 'SELECT')
+  ) as tables;
+$$;
+
+grant execute on function public.get_schema() to anon, authenticated;
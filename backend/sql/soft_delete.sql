@@ -0,0 +1,33 @@
+-- soft_delete: trash columns for tables with the `softDelete` registry option
+-- (File_link and Event by default, see config/tables.js).
+--
+-- Deleting a row through the API sets deleted_at and a deleted_group shared
+-- by every row deleted in the same request. GET /api/:table/trash lists them,
+-- POST /api/:table/trash/restore brings them back and DELETE /api/:table/trash
+-- purges the ones past the table's retention period.
+
+alter table public."File_link"
+  add column if not exists deleted_at timestamptz,
+  add column if not exists deleted_group uuid;
+
+create index if not exists file_link_deleted_at_idx on public."File_link" (deleted_at)
+  where deleted_at is not null;
+create index if not exists file_link_deleted_group_idx on public."File_link" (deleted_group)
+  where deleted_group is not null;
+
+alter table public."Event"
+  add column if not exists deleted_at timestamptz,
+  add column if not exists deleted_group uuid;
+
+create index if not exists event_deleted_at_idx on public."Event" (deleted_at)
+  where deleted_at is not null;
+create index if not exists event_deleted_group_idx on public."Event" (deleted_group)
+  where deleted_group is not null;
+
+-- Optional: purge expired rows on a schedule with pg_cron instead of calling
+-- DELETE /api/:table/trash. Keep the intervals in sync with retentionDays.
+--
+-- select cron.schedule('purge-file-link-trash', '0 3 * * *',
+--   $$delete from public."File_link" where deleted_at < now() - interval '90 days'$$);
+-- select cron.schedule('purge-event-trash', '0 3 * * *',
+--   $$delete from public."Event" where deleted_at < now() - interval '30 days'$$);
@@ -0,0 +1,36 @@
+-- updated_at: row version column for ETags and If-Match.
+--
+-- Rows with an updated_at column are versioned by it, which also lets a
+-- conditional update or delete check the version in the same statement.
+-- Tables without it are versioned by a hash of the row instead.
+
+create or replace function public.set_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+alter table public."Professors" add column if not exists updated_at timestamptz not null default now();
+alter table public."ITCourses" add column if not exists updated_at timestamptz not null default now();
+alter table public."File_link" add column if not exists updated_at timestamptz not null default now();
+alter table public."Event" add column if not exists updated_at timestamptz not null default now();
+
+drop trigger if exists set_updated_at on public."Professors";
+create trigger set_updated_at before update on public."Professors"
+  for each row execute function public.set_updated_at();
+
+drop trigger if exists set_updated_at on public."ITCourses";
+create trigger set_updated_at before update on public."ITCourses"
+  for each row execute function public.set_updated_at();
+
+drop trigger if exists set_updated_at on public."File_link";
+create trigger set_updated_at before update on public."File_link"
+  for each row execute function public.set_updated_at();
+
+drop trigger if exists set_updated_at on public."Event";
+create trigger set_updated_at before update on public."Event"
+  for each row execute function public.set_updated_at();
@@ -0,0 +1,60 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+
+describe('GET /api/audit', () => {
+  let app;
+  let admin;
+  let editor;
+
+  before(async () => {
+    app = await startApp();
+
+    app.supabase.addUser('admin@example.com', 'admin-password', { role: 'admin' });
+    app.supabase.addUser('editor@example.com', 'editor-password', { role: 'editor' });
+    admin = app.supabase.tokenFor('admin@example.com');
+    editor = app.supabase.tokenFor('editor@example.com');
+
+    app.supabase.setRows('audit_log', [
+      { id: 1, table_name: 'professors', row_id: '1', actor_id: 'u1', operation: 'create', changed_at: '2026-01-01T10:00:00.000Z' },
+      { id: 2, table_name: 'professors', row_id: '2', actor_id: 'u2', operation: 'create', changed_at: '2026-01-02T10:00:00.000Z' },
+      { id: 3, table_name: 'professors', row_id: '1', actor_id: 'u2', operation: 'update', changed_at: '2026-01-03T10:00:00.000Z' },
+      { id: 4, table_name: 'events', row_id: '1', actor_id: 'u1', operation: 'delete', changed_at: '2026-01-04T10:00:00.000Z' }
+    ]);
+  });
+
+  after(() => app.close());
+
+  // Ids of the entries a query returns
+  async function entries(query) {
+    const { status, headers, body } = await app.request('GET', `/api/audit${query}`, { token: admin });
+
+    assert.equal(status, 200);
+    assert.equal(headers.get('x-total-count'), String(body.length));
+    return body.map(entry => entry.id);
+  }
+
+  it('lists entries newest first', async () => {
+    assert.deepEqual(await entries(''), [4, 3, 2, 1]);
+  });
+
+  it('filters by table, row, user and time', async () => {
+    assert.deepEqual(await entries('?table=professors'), [3, 2, 1]);
+    assert.deepEqual(await entries('?table=professors&row=1'), [3, 1]);
+    assert.deepEqual(await entries('?user=u2'), [3, 2]);
+    assert.deepEqual(await entries('?from=2026-01-02&to=2026-01-03T23:59:59Z'), [3, 2]);
+  });
+
+  it('rejects bad filters', async () => {
+    for (const query of ['?table=salaries', '?row=1', '?from=yesterday', '?limit=0']) {
+      const { status } = await app.request('GET', `/api/audit${query}`, { token: admin });
+
+      assert.equal(status, 400, query);
+    }
+  });
+
+  it('is only open to admins', async () => {
+    assert.equal((await app.request('GET', '/api/audit')).status, 401);
+    assert.equal((await app.request('GET', '/api/audit', { token: editor })).status, 403);
+  });
+});
@@ -0,0 +1,62 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+
+// Without JWT_SECRET every token is checked by Supabase Auth
+
+describe('auth without JWT_SECRET', () => {
+  let app;
+  let supabase;
+
+  before(async () => {
+    app = await startApp({ JWT_SECRET: undefined, SUPABASE_RETRIES: '0' });
+    supabase = app.supabase;
+
+    supabase.addUser('admin@example.com', 'admin-password', { role: 'admin' });
+    supabase.setRows('Professors', [{ id: 1, Name: 'Ada' }]);
+  });
+
+  after(() => app.close());
+
+  it('asks Supabase Auth to verify the token', async () => {
+    const calls = supabase.requestsTo('/auth/v1/user').length;
+    const token = supabase.tokenFor('admin@example.com');
+
+    const { status } = await app.request('PUT', '/api/professors/1', { token, body: { Name: 'Ada L.' } });
+
+    assert.equal(status, 200);
+    assert.equal(supabase.requestsTo('/auth/v1/user').length, calls + 1);
+    assert.equal(supabase.rows('Professors')[0].Name, 'Ada L.');
+  });
+
+  it('answers 401 for a token Supabase Auth rejects', async () => {
+    const { status, body } = await app.request('PUT', '/api/professors/1', { token: 'not-a-session', body: { Name: 'X' } });
+
+    assert.equal(status, 401);
+    assert.equal(body.code, 'invalid_token');
+  });
+
+  it('answers 401 once the session has been logged out', async () => {
+    const token = supabase.tokenFor('admin@example.com');
+
+    await app.request('POST', '/api/auth/logout', { token });
+    const { status } = await app.request('DELETE', '/api/professors/1', { token });
+
+    assert.equal(status, 401);
+  });
+
+  it('answers 503, not 401, while Supabase Auth is down', async () => {
+    const token = supabase.tokenFor('admin@example.com');
+
+    supabase.authStatus = 503;
+
+    try {
+      const { status, body } = await app.request('PUT', '/api/professors/1', { token, body: { Name: 'X' } });
+
+      assert.equal(status, 503);
+      assert.equal(body.code, 'upstream_unavailable');
+    } finally {
+      supabase.authStatus = null;
+    }
+  });
+});
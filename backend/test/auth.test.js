@@ -0,0 +1,184 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { startApp } = require('./support/app');
+
+// Auth endpoints, 401/403 on writes and role checks, with tokens verified
+// locally against JWT_SECRET
+
+const EVENT = { Name: 'Open day', Start_date: '2026-05-01', Location: 'Main hall' };
+
+describe('auth with JWT_SECRET', () => {
+  let app;
+  let supabase;
+
+  before(async () => {
+    app = await startApp();
+    supabase = app.supabase;
+
+    supabase.addUser('admin@example.com', 'admin-password', { role: 'admin' });
+    supabase.addUser('editor@example.com', 'editor-password', { role: 'editor' });
+    supabase.addUser('viewer@example.com', 'viewer-password');
+    supabase.setRows('Professors', [{ id: 1, Name: 'Ada' }, { id: 2, Name: 'Grace' }]);
+  });
+
+  after(() => app.close());
+
+  describe('login, session, refresh and logout', () => {
+    it('logs in with a password', async () => {
+      const { status, body } = await app.request('POST', '/api/auth/login', {
+        body: { email: 'editor@example.com', password: 'editor-password' }
+      });
+
+      assert.equal(status, 200);
+      assert.ok(body.session.access_token);
+      assert.ok(body.session.refresh_token);
+      assert.equal(body.session.user.email, 'editor@example.com');
+    });
+
+    it('rejects a wrong password', async () => {
+      const { status, body } = await app.request('POST', '/api/auth/login', {
+        body: { email: 'editor@example.com', password: 'wrong' }
+      });
+
+      assert.equal(status, 401);
+      assert.equal(body.code, 'invalid_credentials');
+    });
+
+    it('requires an email and password', async () => {
+      const { status, body } = await app.request('POST', '/api/auth/login', { body: { email: 'editor@example.com' } });
+
+      assert.equal(status, 400);
+      assert.equal(body.code, 'credentials_required');
+    });
+
+    it('resolves each caller to their own session', async () => {
+      const editor = supabase.tokenFor('editor@example.com');
+      const viewer = supabase.tokenFor('viewer@example.com');
+
+      const first = await app.request('GET', '/api/auth/session', { token: editor });
+      const second = await app.request('GET', '/api/auth/session', { token: viewer });
+
+      assert.equal(first.body.session.user.email, 'editor@example.com');
+      assert.equal(second.body.session.user.email, 'viewer@example.com');
+    });
+
+    it('exchanges a refresh token once', async () => {
+      const { refresh_token: refreshToken } = supabase.createSession('viewer@example.com');
+
+      const refreshed = await app.request('POST', '/api/auth/refresh', { body: { refresh_token: refreshToken } });
+      const reused = await app.request('POST', '/api/auth/refresh', { body: { refresh_token: refreshToken } });
+
+      assert.equal(refreshed.status, 200);
+      assert.ok(refreshed.body.session.access_token);
+      assert.equal(reused.status, 401);
+      assert.equal(reused.body.code, 'invalid_refresh_token');
+    });
+
+    it('logs out only the caller\'s session', async () => {
+      const mine = supabase.tokenFor('editor@example.com');
+      const other = supabase.tokenFor('editor@example.com');
+
+      const { status } = await app.request('POST', '/api/auth/logout', { token: mine });
+
+      assert.equal(status, 200);
+      assert.equal((await app.request('GET', '/api/auth/session', { token: mine })).status, 401);
+      assert.equal((await app.request('GET', '/api/auth/session', { token: other })).status, 200);
+    });
+  });
+
+  describe('writes', () => {
+    it('answers 401 without a token', async () => {
+      const { status, body } = await app.request('POST', '/api/events', { body: EVENT });
+
+      assert.equal(status, 401);
+      assert.equal(body.code, 'authentication_required');
+    });
+
+    it('answers 401 for a token signed with another secret', async () => {
+      const token = jwt.sign({ sub: 'someone', app_metadata: { role: 'admin' } }, 'not-the-project-secret');
+      const { status, body } = await app.request('POST', '/api/events', { token, body: EVENT });
+
+      assert.equal(status, 401);
+      assert.equal(body.code, 'invalid_token');
+    });
+
+    it('answers 401 for an expired token', async () => {
+      const token = supabase.tokenFor('admin@example.com', { expiresIn: -60 });
+      const { status, body } = await app.request('DELETE', '/api/professors/1', { token });
+
+      assert.equal(status, 401);
+      assert.equal(body.code, 'invalid_token');
+    });
+
+    it('answers 401 for a token that is not a JWT', async () => {
+      const { status } = await app.request('PUT', '/api/professors/1', { token: 'garbage', body: { Name: 'X' } });
+
+      assert.equal(status, 401);
+    });
+
+    it('verifies tokens without calling Supabase Auth', async () => {
+      const calls = supabase.requestsTo('/auth/v1/user').length;
+
+      await app.request('GET', '/api/professors', { token: supabase.tokenFor('viewer@example.com') });
+
+      assert.equal(supabase.requestsTo('/auth/v1/user').length, calls);
+    });
+  });
+
+  describe('roles', () => {
+    it('lets anonymous callers read', async () => {
+      const { status, body } = await app.request('GET', '/api/professors');
+
+      assert.equal(status, 200);
+      assert.deepEqual(body.map(row => row.Name), ['Ada', 'Grace']);
+    });
+
+    it('treats a token without a role as a viewer, who may only read', async () => {
+      const token = supabase.tokenFor('viewer@example.com');
+      const { status, body } = await app.request('POST', '/api/events', { token, body: EVENT });
+
+      assert.equal(status, 403);
+      assert.equal(body.role, 'viewer');
+      assert.equal(body.reason, 'operation_not_permitted');
+    });
+
+    it('lets editors write their tables but only read the others', async () => {
+      const token = supabase.tokenFor('editor@example.com');
+
+      const created = await app.request('POST', '/api/events', { token, body: EVENT });
+      const denied = await app.request('PUT', '/api/professors/1', { token, body: { Name: 'Ada L.' } });
+
+      assert.equal(created.status, 201);
+      assert.equal(created.body[0].Name, 'Open day');
+      assert.equal(denied.status, 403);
+      assert.equal(denied.body.role, 'editor');
+    });
+
+    it('lets admins write every table', async () => {
+      const token = supabase.tokenFor('admin@example.com');
+      const { status } = await app.request('DELETE', '/api/professors/2', { token });
+
+      assert.equal(status, 200);
+      assert.deepEqual(supabase.rows('Professors').map(row => row.id), [1]);
+    });
+
+    it('checks each operation of a batch against the role', async () => {
+      const token = supabase.tokenFor('editor@example.com');
+      const { status, body } = await app.request('POST', '/api/professors/batch', {
+        token,
+        body: { operations: [{ op: 'create', data: { Name: 'Alan' } }] }
+      });
+
+      assert.equal(status, 207);
+      assert.equal(body.results[0].status, 403);
+    });
+
+    it('keeps the audit log to admins', async () => {
+      const { status, body } = await app.request('GET', '/api/audit', { token: supabase.tokenFor('editor@example.com') });
+
+      assert.equal(status, 403);
+      assert.equal(body.reason, 'role_required');
+    });
+  });
+});
@@ -0,0 +1,72 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+
+describe('bulk delete and batches', () => {
+  let app;
+  let token;
+
+  before(async () => {
+    app = await startApp();
+    app.supabase.addUser('admin@example.com', 'admin-password', { role: 'admin' });
+    token = app.supabase.tokenFor('admin@example.com');
+  });
+
+  after(() => app.close());
+
+  for (const ids of ['1a,2b', '1,,2', '1,-2', '1.5,2', '1, 2']) {
+    it(`rejects the id list '${ids}'`, async () => {
+      app.supabase.setRows('Professors', [{ id: 1, Name: 'Ada' }, { id: 2, Name: 'Grace' }]);
+
+      const { status, body } = await app.request('DELETE', `/api/professors/${encodeURIComponent(ids).replace(/%2C/g, ',')}`, { token });
+
+      assert.equal(status, 400);
+      assert.equal(body.code, 'invalid_ids');
+      assert.equal(app.supabase.rows('Professors').length, 2);
+    });
+  }
+
+  it('deletes every listed id', async () => {
+    app.supabase.setRows('Professors', [{ id: 1, Name: 'Ada' }, { id: 2, Name: 'Grace' }, { id: 3, Name: 'Alan' }]);
+
+    const { status } = await app.request('DELETE', '/api/professors/1,3', { token });
+
+    assert.equal(status, 200);
+    assert.deepEqual(app.supabase.rows('Professors').map(row => row.id), [2]);
+  });
+
+  it('answers 501 for an atomic batch without batch_apply', async () => {
+    const { status, body } = await app.request('POST', '/api/professors/batch', {
+      token,
+      body: { atomic: true, operations: [{ op: 'create', data: { Name: 'Alan' } }] }
+    });
+
+    assert.equal(status, 501);
+    assert.equal(body.code, 'batch_unavailable');
+  });
+
+  it('leaves the primary key to batch_apply', async () => {
+    let args;
+
+    app.supabase.rpc.batch_apply = body => {
+      args = body;
+      return { data: [{ index: 0, op: 'create', row: { id: 9, Name: 'Alan' }, before: null }] };
+    };
+
+    try {
+      const { status } = await app.request('POST', '/api/professors/batch', {
+        token,
+        body: { atomic: true, operations: [{ op: 'create', data: { Name: 'Alan' } }] }
+      });
+
+      assert.equal(status, 200);
+      assert.deepEqual(Object.keys(args).sort(), ['p_operations', 'p_table']);
+    } finally {
+      delete app.supabase.rpc.batch_apply;
+    }
+  });
+
+  it('leaves the audit trail to the database', () => {
+    assert.deepEqual(app.supabase.requestsTo('/rest/v1/audit_log'), []);
+  });
+});
@@ -0,0 +1,156 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+const { RedisStandIn } = require('./support/redis');
+
+describe('cache', () => {
+  let app;
+  let supabase;
+  let admin;
+  let editor;
+  let cache;
+  let stores;
+
+  // Supabase reads of the Professors table so far
+  function reads() {
+    return supabase.requestsTo('/rest/v1/Professors').filter(request => request.method === 'GET').length;
+  }
+
+  before(async () => {
+    app = await startApp();
+    supabase = app.supabase;
+
+    // Loaded after startApp, which sets the environment they read
+    cache = require('../lib/cache');
+    stores = require('../lib/cacheStores');
+
+    supabase.addUser('admin@example.com', 'admin-password', { role: 'admin' });
+    supabase.addUser('editor@example.com', 'editor-password', { role: 'editor' });
+    admin = supabase.tokenFor('admin@example.com');
+    editor = supabase.tokenFor('editor@example.com');
+  });
+
+  after(() => app.close());
+
+  beforeEach(async () => {
+    await cache.clearAllCaches();
+    supabase.setRows('Professors', [{ id: 1, Name: 'Ada' }, { id: 2, Name: 'Grace' }]);
+  });
+
+  describe('admin routes', () => {
+    it('answers 401 without a token', async () => {
+      assert.equal((await app.request('POST', '/api/clear-cache')).status, 401);
+      assert.equal((await app.request('GET', '/api/cache-stats')).status, 401);
+    });
+
+    it('answers 403 for other roles', async () => {
+      const cleared = await app.request('POST', '/api/clear-cache', { token: editor });
+      const stats = await app.request('GET', '/api/cache-stats', { token: editor });
+
+      assert.equal(cleared.status, 403);
+      assert.equal(cleared.body.reason, 'role_required');
+      assert.equal(stats.status, 403);
+    });
+
+    it('lets admins read the counters', async () => {
+      await app.request('GET', '/api/professors');
+      await app.request('GET', '/api/professors');
+
+      const { status, body } = await app.request('GET', '/api/cache-stats', { token: admin });
+
+      assert.equal(status, 200);
+      assert.equal(body.store, 'memory');
+      assert.ok(body.tables.professors.hits >= 1);
+      assert.ok(body.tables.professors.misses >= 1);
+    });
+
+    it('lets admins clear one table', async () => {
+      await app.request('GET', '/api/professors');
+      const { status } = await app.request('POST', '/api/clear-cache?table=professors', { token: admin });
+      const count = reads();
+
+      await app.request('GET', '/api/professors');
+
+      assert.equal(status, 200);
+      assert.equal(reads(), count + 1);
+    });
+
+    it('answers 404 for an unknown table', async () => {
+      const { status, body } = await app.request('POST', '/api/clear-cache', { token: admin, body: { table: 'nope' } });
+
+      assert.equal(status, 404);
+      assert.equal(body.code, 'unknown_table');
+    });
+  });
+
+  describe('lists', () => {
+    it('serves a repeated list from the cache', async () => {
+      const first = await app.request('GET', '/api/professors');
+      const count = reads();
+      const second = await app.request('GET', '/api/professors');
+
+      assert.equal(reads(), count);
+      assert.deepEqual(second.body, first.body);
+    });
+
+    it('keeps each caller\'s results apart', async () => {
+      await app.request('GET', '/api/professors');
+      const count = reads();
+
+      await app.request('GET', '/api/professors', { token: editor });
+
+      assert.equal(reads(), count + 1);
+    });
+
+    it('clears a table\'s results on a write', async () => {
+      await app.request('GET', '/api/professors');
+      await app.request('PUT', '/api/professors/1', { token: admin, body: { Name: 'Ada L.' } });
+
+      const { body } = await app.request('GET', '/api/professors');
+
+      assert.equal(body[0].Name, 'Ada L.');
+    });
+  });
+
+  describe('stores', () => {
+    let redis;
+
+    beforeEach(() => {
+      redis = new RedisStandIn();
+      cache.setCacheStore(new stores.RedisStore({ client: redis }));
+    });
+
+    after(() => cache.setCacheStore(new stores.MemoryStore()));
+
+    it('keeps results in the configured store', async () => {
+      await app.request('GET', '/api/professors');
+      const count = reads();
+      const { body } = await app.request('GET', '/api/professors');
+
+      assert.equal(reads(), count);
+      assert.equal(body.length, 2);
+      assert.ok(redis.values.size > 0);
+      assert.ok(Array.from(redis.values.keys()).every(key => key.startsWith('cache:professors|')));
+    });
+
+    it('clears matching keys from the store', async () => {
+      await app.request('GET', '/api/professors');
+      await app.request('POST', '/api/clear-cache', { token: admin });
+
+      assert.equal(redis.values.size, 0);
+    });
+
+    it('answers from Supabase while the store is down', async () => {
+      redis.down = true;
+
+      const { status, body } = await app.request('GET', '/api/professors');
+      const stats = await app.request('GET', '/api/cache-stats', { token: admin });
+
+      assert.equal(status, 200);
+      assert.equal(body.length, 2);
+      assert.equal(stats.body.store, 'redis');
+      assert.equal(stats.body.entries, null);
+      assert.ok(stats.body.tables.professors.errors >= 1);
+    });
+  });
+});
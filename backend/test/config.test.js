@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getTable } = require('../lib/tables');
+
+// A usable configuration for the tests to break one setting at a time
+const VALID_ENV = {
+  SUPABASE_URL: 'https://project.supabase.co',
+  SUPABASE_ANON_KEY: 'anon-key'
+};
+
+// validateConfig over settings loaded afresh from `env` on top of VALID_ENV.
+// An undefined value removes a setting.
+function problemsWith(env = {}) {
+  const settings = { ...VALID_ENV, ...env };
+  const saved = Object.fromEntries(Object.keys(settings).map(name => [name, process.env[name]]));
+
+  function apply(values) {
+    for (const [name, value] of Object.entries(values)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  }
+
+  apply(settings);
+
+  try {
+    delete require.cache[require.resolve('../config')];
+    delete require.cache[require.resolve('../config/validate')];
+
+    return require('../config/validate').validateConfig();
+  } finally {
+    apply(saved);
+  }
+}
+
+describe('validateConfig', () => {
+  it('accepts a minimal configuration', () => {
+    assert.deepEqual(problemsWith(), []);
+  });
+
+  it('requires the Supabase URL and key', () => {
+    assert.deepEqual(problemsWith({ SUPABASE_URL: undefined, SUPABASE_ANON_KEY: undefined, SUPABASE_KEY: undefined }), [
+      'SUPABASE_URL is required',
+      'SUPABASE_ANON_KEY is required (the project\'s anon key)'
+    ]);
+  });
+
+  for (const [env, problem] of [
+    [{ SUPABASE_URL: 'project.supabase.co' }, /^SUPABASE_URL must be an http\(s\) URL/],
+    [{ SUPABASE_AUTH_URL: 'ftp://auth.example.com' }, /^SUPABASE_AUTH_URL must be an http\(s\) URL/],
+    [{ PORT: '70000' }, /^PORT must be a port number/],
+    [{ LOG_LEVEL: 'verbose' }, /^LOG_LEVEL must be one of error, warn, info, debug/],
+    [{ RATE_LIMIT_MAX_REQUESTS: '100req' }, /^RATE_LIMIT_MAX_REQUESTS must be a positive whole number, got '100req'/],
+    [{ READY_TIMEOUT_MS: '0' }, /^READY_TIMEOUT_MS must be a positive whole number/],
+    [{ SUPABASE_RETRIES: '-1' }, /^SUPABASE_RETRIES must be a whole number/],
+    [{ LOGIN_LOCKOUT_MS: '600000', LOGIN_MAX_LOCKOUT_MS: '60000' }, /^LOGIN_LOCKOUT_MS must not be greater than LOGIN_MAX_LOCKOUT_MS/],
+    [{ CACHE_STORE: 'disk' }, /^CACHE_STORE must be one of memory, redis/],
+    [{ CACHE_STORE: 'redis', REDIS_URL: undefined }, /^REDIS_URL is required with CACHE_STORE=redis/],
+    [{ CORS_ORIGINS: 'https://app.example.com,https://app.example.com/' }, /^CORS_ORIGINS entries must be origins/],
+    [{ METRICS_ENABLED: 'true', METRICS_TOKEN: undefined }, /^METRICS_TOKEN is required with METRICS_ENABLED=true/]
+  ]) {
+    it(`rejects ${Object.entries(env).map(([name, value]) => `${name}=${value}`).join(' ')}`, () => {
+      const problems = problemsWith(env);
+
+      assert.equal(problems.length, 1, problems.join('\n'));
+      assert.match(problems[0], problem);
+    });
+  }
+
+  it('reports every problem at once', () => {
+    assert.equal(problemsWith({ PORT: 'abc', LOG_LEVEL: 'loud', CACHE_STORE: 'disk' }).length, 3);
+  });
+
+  it('checks the cache durations in config/tables.js', () => {
+    const professors = getTable('professors');
+    const { cacheTtl } = professors;
+
+    professors.cacheTtl = '5 minutes';
+
+    try {
+      assert.deepEqual(problemsWith(), ["config/tables.js: cacheTtl of 'professors' must be a number of ms (0 or more)"]);
+    } finally {
+      professors.cacheTtl = cacheTtl;
+    }
+  });
+});
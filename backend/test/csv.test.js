@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { CsvParseError, parseCsv } = require('../lib/csv');
+
+// Parse errors as { message, line }
+function parseError(text) {
+  try {
+    parseCsv(text);
+  } catch (error) {
+    assert.ok(error instanceof CsvParseError);
+    return { message: error.message, line: error.line };
+  }
+
+  assert.fail('the CSV parsed');
+}
+
+describe('parseCsv', () => {
+  it('keys records by the trimmed header with their line numbers', () => {
+    assert.deepEqual(parseCsv(' Name ,Code\nAda,IT1\nGrace,IT2\n'), {
+      columns: ['Name', 'Code'],
+      records: [
+        { line: 2, values: { Name: 'Ada', Code: 'IT1' } },
+        { line: 3, values: { Name: 'Grace', Code: 'IT2' } }
+      ]
+    });
+  });
+
+  it('reads quoted fields with commas, escaped quotes and newlines', () => {
+    const { records } = parseCsv('Name,Description\n"Lovelace, A.","Says ""hi""\nand bye"\nGrace,x');
+
+    assert.deepEqual(records[0].values, { Name: 'Lovelace, A.', Description: 'Says "hi"\nand bye' });
+    assert.equal(records[1].line, 4);
+  });
+
+  it('accepts CRLF line endings, a byte order mark and blank lines', () => {
+    const { columns, records } = parseCsv('﻿Name,Code\r\n\r\nAda,IT1\r\n');
+
+    assert.deepEqual(columns, ['Name', 'Code']);
+    assert.deepEqual(records, [{ line: 3, values: { Name: 'Ada', Code: 'IT1' } }]);
+  });
+
+  it('fills missing trailing fields with empty strings', () => {
+    assert.deepEqual(parseCsv('Name,Code\nAda').records[0].values, { Name: 'Ada', Code: '' });
+  });
+
+  it('returns no records for empty input', () => {
+    assert.deepEqual(parseCsv(''), { columns: [], records: [] });
+  });
+
+  it('rejects rows with more fields than the header', () => {
+    assert.deepEqual(parseError('Name\nAda\nGrace,IT2'), { message: 'Expected 1 fields but found 2 (line 3)', line: 3 });
+  });
+
+  it('rejects quotes inside unquoted fields', () => {
+    assert.equal(parseError('Name\nAd"a').line, 2);
+  });
+
+  it('rejects an unterminated quoted field', () => {
+    assert.deepEqual(parseError('Name\n"Ada\nGrace'), { message: 'Unterminated quoted field (line 3)', line: 3 });
+  });
+});
@@ -0,0 +1,119 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+
+describe('ETags', () => {
+  let app;
+  let supabase;
+  let token;
+
+  before(async () => {
+    app = await startApp();
+    supabase = app.supabase;
+
+    supabase.addUser('admin@example.com', 'admin-password', { role: 'admin' });
+    token = supabase.tokenFor('admin@example.com');
+  });
+
+  after(() => app.close());
+
+  beforeEach(async () => {
+    // Loaded after startApp, which sets the environment it reads
+    await require('../lib/cache').clearAllCaches();
+    supabase.setRows('Professors', [
+      { id: 1, Name: 'Ada', updated_at: '2026-01-01T00:00:00.000Z' },
+      { id: 2, Name: 'Grace' }
+    ]);
+  });
+
+  // Change a row behind the API's back, as another client would
+  async function changeRow(id, values) {
+    Object.assign(supabase.rows('Professors').find(row => row.id === id), values);
+    await require('../lib/cache').clearAllCaches();
+  }
+
+  describe('If-None-Match', () => {
+    for (const path of ['/api/professors/1', '/api/professors/2', '/api/professors']) {
+      it(`answers 304 for an unchanged ${path}`, async () => {
+        const { status, headers } = await app.request('GET', path);
+        const etag = headers.get('etag');
+
+        assert.equal(status, 200);
+        assert.ok(etag);
+
+        const again = await app.request('GET', path, { headers: { 'If-None-Match': etag } });
+
+        assert.equal(again.status, 304);
+        assert.equal(again.body, '');
+      });
+    }
+
+    it('answers 200 once the row changed', async () => {
+      const { headers } = await app.request('GET', '/api/professors/1');
+
+      await changeRow(1, { Name: 'Ada L.', updated_at: '2026-01-02T00:00:00.000Z' });
+      const { status, body } = await app.request('GET', '/api/professors/1', { headers: { 'If-None-Match': headers.get('etag') } });
+
+      assert.equal(status, 200);
+      assert.equal(body.Name, 'Ada L.');
+    });
+  });
+
+  describe('If-Match', () => {
+    for (const id of [1, 2]) {
+      it(`updates record ${id} at the version that was read`, async () => {
+        const { headers } = await app.request('GET', `/api/professors/${id}`);
+        const { status } = await app.request('PUT', `/api/professors/${id}`, {
+          token,
+          body: { Name: 'Changed' },
+          headers: { 'If-Match': headers.get('etag') }
+        });
+
+        assert.equal(status, 200);
+        assert.equal(supabase.rows('Professors').find(row => row.id === id).Name, 'Changed');
+      });
+
+      it(`answers 412 with the current record ${id} when it changed`, async () => {
+        const { headers } = await app.request('GET', `/api/professors/${id}`);
+
+        await changeRow(id, { Name: 'Someone else', ...(id === 1 && { updated_at: '2026-01-02T00:00:00.000Z' }) });
+
+        const { status, headers: failed, body } = await app.request('PUT', `/api/professors/${id}`, {
+          token,
+          body: { Name: 'Changed' },
+          headers: { 'If-Match': headers.get('etag') }
+        });
+        const current = supabase.rows('Professors').find(row => row.id === id);
+
+        assert.equal(status, 412);
+        assert.equal(body.code, 'precondition_failed');
+        assert.deepEqual(body.current, current);
+        assert.equal(failed.get('etag'), (await app.request('GET', `/api/professors/${id}`)).headers.get('etag'));
+        assert.equal(current.Name, 'Someone else');
+      });
+    }
+
+    it('does not delete a changed record', async () => {
+      const { headers } = await app.request('GET', '/api/professors/1');
+
+      await changeRow(1, { updated_at: '2026-01-02T00:00:00.000Z' });
+
+      const { status, body } = await app.request('DELETE', '/api/professors/1', { token, headers: { 'If-Match': headers.get('etag') } });
+
+      assert.equal(status, 412);
+      assert.equal(body.current.updated_at, '2026-01-02T00:00:00.000Z');
+      assert.equal(supabase.rows('Professors').length, 2);
+    });
+
+    it('answers 412 with no current row for a missing record', async () => {
+      const { status, body } = await app.request('PUT', '/api/professors/9', {
+        token,
+        body: { Name: 'Changed' },
+        headers: { 'If-Match': '*' }
+      });
+
+      assert.equal(status, 412);
+      assert.equal(body.current, null);
+    });
+  });
+});
@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Writable } = require('stream');
+const { getFormat } = require('../lib/exporters');
+
+// A sink that holds every chunk until release() is called, like a client
+// that stops reading
+function blockedSink() {
+  const held = [];
+  const sink = new Writable({
+    highWaterMark: 1024,
+    write(chunk, encoding, callback) {
+      held.push(callback);
+    }
+  });
+
+  sink.release = () => {
+    sink._write = (chunk, encoding, callback) => callback();
+    held.splice(0).forEach(callback => callback());
+  };
+
+  return sink;
+}
+
+function settlesWithin(promise, ms) {
+  return Promise.race([
+    promise.then(() => true),
+    new Promise(resolve => setTimeout(() => resolve(false), ms))
+  ]);
+}
+
+const ROW = { id: 1, Name: 'x'.repeat(500), Notes: { long: 'y'.repeat(500) } };
+
+for (const format of ['csv', 'json', 'ndjson', 'xlsx']) {
+  describe(`${format} export writer`, () => {
+    it('waits while the client is not reading', async () => {
+      const sink = blockedSink();
+      const writer = getFormat(format).create(sink, ['id', 'Name', 'Notes'], 'Sheet');
+      let waiting = null;
+
+      for (let index = 0; index < 5000 && !waiting; index++) {
+        const write = writer.write({ ...ROW, id: index, Name: `${index} ${Math.random()} ${ROW.Name}` });
+
+        if (!(await settlesWithin(write, 20))) waiting = write;
+
+        // The XLSX zip reaches the sink asynchronously, as it would between
+        // the pages of a real export
+        await new Promise(resolve => setImmediate(resolve));
+      }
+
+      assert.ok(waiting, 'a write should wait for the sink to drain');
+
+      sink.release();
+      assert.equal(await settlesWithin(waiting, 1000), true);
+      await writer.end();
+    });
+  });
+}
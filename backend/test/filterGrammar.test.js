@@ -0,0 +1,157 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+const { FilterSyntaxError, parseFilter, parseTableFilter, applyFilterTree } = require('../lib/filterGrammar');
+const { getTable } = require('../lib/tables');
+
+// Parse errors as { message, position, clause }
+function syntaxError(input, parse = parseFilter) {
+  try {
+    parse(input);
+  } catch (error) {
+    assert.ok(error instanceof FilterSyntaxError);
+    return { message: error.message, position: error.position, clause: error.clause };
+  }
+
+  assert.fail(`'${input}' parsed`);
+}
+
+// Records the calls a Supabase query builder would receive
+function recordingBuilder(calls = []) {
+  return {
+    calls,
+    filter: (...args) => recordingBuilder([...calls, ['filter', ...args]]),
+    or: (...args) => recordingBuilder([...calls, ['or', ...args]])
+  };
+}
+
+describe('parseFilter', () => {
+  for (const operator of ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'like', 'ilike']) {
+    it(`parses ${operator}`, () => {
+      assert.deepEqual(parseFilter(`Credits.${operator}.3`).children, [
+        { type: 'condition', column: 'Credits', operator, value: '3', position: 0 }
+      ]);
+    });
+  }
+
+  it('parses in lists with quoted values', () => {
+    const [condition] = parseFilter('Name.in.(Ada,"Lovelace, A.","say \\"hi\\"")').children;
+
+    assert.deepEqual(condition.value, ['Ada', 'Lovelace, A.', 'say "hi"']);
+  });
+
+  it('parses is with null, true and false', () => {
+    for (const value of ['null', 'true', 'false']) {
+      assert.equal(parseFilter(`Office.is.${value}`).children[0].value, value);
+    }
+  });
+
+  it('ANDs top-level terms and nests groups', () => {
+    const tree = parseFilter('Department.eq.CS,or(Rank.eq.Full,and(Rank.eq.Associate,Credits.gte.3))');
+
+    assert.equal(tree.type, 'and');
+    assert.equal(tree.children.length, 2);
+
+    const group = tree.children[1];
+
+    assert.equal(group.type, 'or');
+    assert.equal(group.position, 17);
+    assert.deepEqual(group.children.map(child => child.type), ['condition', 'and']);
+    assert.deepEqual(group.children[1].children.map(child => child.column), ['Rank', 'Credits']);
+  });
+
+  it('reports an unknown operator with its position and clause', () => {
+    assert.deepEqual(syntaxError('Department.eq.CS,Rank.equals.Full'), {
+      message: "Unknown operator 'equals'",
+      position: 22,
+      clause: 'Rank.equals.Full'
+    });
+  });
+
+  it('reports a missing value', () => {
+    const { message, clause } = syntaxError('Name.eq.');
+
+    assert.equal(message, 'Expected a value');
+    assert.equal(clause, 'Name.eq.');
+  });
+
+  it('reports an unclosed group', () => {
+    const { message, position } = syntaxError('or(Rank.eq.Full');
+
+    assert.equal(message, "Expected ')' but the expression ended");
+    assert.equal(position, 15);
+  });
+
+  it('reports trailing input', () => {
+    assert.equal(syntaxError('Rank.eq.Full)').message, "Unexpected ')'");
+  });
+
+  it('reports an unterminated quote', () => {
+    const { message, position } = syntaxError('Name.eq."Ada');
+
+    assert.equal(message, 'Unterminated quoted value');
+    assert.equal(position, 8);
+  });
+
+  it('only accepts null, true and false for is', () => {
+    assert.equal(syntaxError('Office.is.empty').message, "'is' only accepts null, true, false");
+  });
+
+  it('limits nesting and length', () => {
+    assert.match(syntaxError(`${'or('.repeat(9)}Rank.eq.Full${')'.repeat(9)}`).message, /nested at most 8/);
+    assert.match(syntaxError(`Name.eq.${'x'.repeat(2000)}`).message, /limited to 2000 characters/);
+  });
+});
+
+describe('parseTableFilter', () => {
+  it('rejects columns the table does not have', () => {
+    const professors = getTable('professors');
+
+    assert.deepEqual(syntaxError('Name.eq.Ada,or(Salary.gt.1)', input => parseTableFilter(professors, input)), {
+      message: "Unknown column 'Salary'",
+      position: 15,
+      clause: 'Salary.gt.1'
+    });
+  });
+});
+
+describe('applyFilterTree', () => {
+  it('sends conditions as filters and or groups as logic trees', () => {
+    const tree = parseFilter('Department.eq.CS,Name.in.(Ada,"A, B"),or(Rank.eq.Full,and(Office.is.null,Name.like.A*))');
+    const { calls } = applyFilterTree(recordingBuilder(), tree);
+
+    assert.deepEqual(calls, [
+      ['filter', 'Department', 'eq', 'CS'],
+      ['filter', 'Name', 'in', '(Ada,"A, B")'],
+      ['or', 'Rank.eq.Full,and(Office.is.null,Name.like.A*)']
+    ]);
+  });
+});
+
+describe('GET /api/query/:table', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+    app.supabase.setRows('Professors', [{ id: 1, Name: 'Ada', Department: 'CS' }, { id: 2, Name: 'Grace', Department: 'EE' }]);
+  });
+
+  after(() => app.close());
+
+  it('filters rows', async () => {
+    const { status, body } = await app.request('GET', '/api/query/professors?filter=Department.eq.EE');
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.map(row => row.Name), ['Grace']);
+  });
+
+  it('answers 400 with the position and clause of a bad filter', async () => {
+    const { status, body } = await app.request('GET', `/api/query/professors?filter=${encodeURIComponent('Name.eq.Ada,Rank.equals.Full')}`);
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'invalid_filter');
+    assert.equal(body.details, "Unknown operator 'equals'");
+    assert.equal(body.position, 17);
+    assert.equal(body.clause, 'Rank.equals.Full');
+  });
+});
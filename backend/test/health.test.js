@@ -0,0 +1,88 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+const { RedisStandIn } = require('./support/redis');
+
+describe('GET /readyz', () => {
+  let app;
+  let supabase;
+  let cache;
+  let stores;
+
+  before(async () => {
+    // No retries and a breaker that never opens, so every probe reaches the
+    // stand-in
+    app = await startApp({ SUPABASE_RETRIES: '0', BREAKER_THRESHOLD: '1000', READY_TIMEOUT_MS: '500' });
+    supabase = app.supabase;
+
+    // Loaded after startApp, which sets the environment they read
+    cache = require('../lib/cache');
+    stores = require('../lib/cacheStores');
+
+    // Readiness waits for the startup table lookup
+    supabase.rpc.get_schema = () => ({ data: [] });
+    await require('../lib/schema').resolveTables(require('../lib/supabase').supabase);
+  });
+
+  after(() => app.close());
+
+  beforeEach(() => {
+    supabase.restStatus = null;
+    supabase.authStatus = null;
+  });
+
+  it('is ok while every dependency answers', async () => {
+    const { status, headers, body } = await app.request('GET', '/readyz');
+
+    assert.equal(status, 200);
+    assert.equal(headers.get('cache-control'), 'no-store');
+    assert.equal(body.status, 'ok');
+    assert.deepEqual(Object.keys(body.checks), ['database', 'auth', 'cache']);
+    assert.ok(Object.values(body.checks).every(check => check.ok && typeof check.latencyMs === 'number'));
+  });
+
+  it('answers 503 while the database is down', async () => {
+    supabase.restStatus = 503;
+    const { status, body } = await app.request('GET', '/readyz');
+
+    assert.equal(status, 503);
+    assert.equal(body.status, 'unavailable');
+    assert.equal(body.checks.database.ok, false);
+    assert.equal(body.checks.auth.ok, true);
+  });
+
+  it('stays in service without Supabase Auth', async () => {
+    supabase.authStatus = 503;
+    const { status, body } = await app.request('GET', '/readyz');
+
+    assert.equal(status, 200);
+    assert.equal(body.status, 'degraded');
+    assert.equal(body.checks.auth.ok, false);
+  });
+
+  it('stays in service without the cache store', async () => {
+    const redis = new RedisStandIn();
+
+    redis.down = true;
+    cache.setCacheStore(new stores.RedisStore({ client: redis }));
+
+    try {
+      const { status, body } = await app.request('GET', '/readyz');
+
+      assert.equal(status, 200);
+      assert.equal(body.status, 'degraded');
+      assert.equal(body.checks.cache.ok, false);
+    } finally {
+      cache.setCacheStore(new stores.MemoryStore());
+    }
+  });
+
+  it('keeps error details from anonymous callers', async () => {
+    supabase.restStatus = 503;
+    const { body } = await app.request('GET', '/readyz');
+
+    assert.deepEqual(Object.keys(body.checks.database).sort(), ['error', 'latencyMs', 'ok']);
+    assert.equal(typeof body.checks.database.error, 'string');
+    assert.ok(!JSON.stringify(body).includes('stand-in'));
+  });
+});
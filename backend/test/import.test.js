@@ -0,0 +1,121 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+
+describe('POST /api/:table/import', () => {
+  let app;
+  let supabase;
+  let admin;
+  let editor;
+
+  // Send a CSV body, which app.request would encode as JSON
+  async function importCsv(path, csv, token) {
+    const response = await fetch(`${app.url}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/csv', ...(token && { Authorization: `Bearer ${token}` }) },
+      body: csv
+    });
+
+    return { status: response.status, body: await response.json() };
+  }
+
+  before(async () => {
+    app = await startApp();
+    supabase = app.supabase;
+
+    supabase.addUser('admin@example.com', 'admin-password', { role: 'admin' });
+    supabase.addUser('editor@example.com', 'editor-password', { role: 'editor' });
+    admin = supabase.tokenFor('admin@example.com');
+    editor = supabase.tokenFor('editor@example.com');
+  });
+
+  after(() => app.close());
+
+  beforeEach(() => {
+    supabase.setRows('ITCourses', [{ id: 1, Name: 'Databases', Code: 'IT1', Credits: 3 }]);
+  });
+
+  it('inserts CSV rows', async () => {
+    const { status, body } = await importCsv('/api/itcourses/import', 'Name,Code,Credits\nNetworks,IT2,4\n"Security, Basics",IT3,2\n', admin);
+
+    assert.equal(status, 200);
+    assert.equal(body.written, 2);
+    assert.deepEqual(body.results.map(result => result.status), ['inserted', 'inserted']);
+    assert.deepEqual(supabase.rows('ITCourses').map(row => row.Name), ['Databases', 'Networks', 'Security, Basics']);
+  });
+
+  it('maps source columns and validates without writing on a dry run', async () => {
+    const { status, body } = await app.request('POST', '/api/itcourses/import?dryRun=true', {
+      token: admin,
+      body: { rows: [{ Title: 'Networks' }, { Title: '' }], mapping: { Title: 'Name' } }
+    });
+
+    assert.equal(status, 200);
+    assert.deepEqual([body.valid, body.invalid, body.written], [1, 1, 0]);
+    assert.equal(body.results[1].errors[0].field, 'Name');
+    assert.equal(supabase.rows('ITCourses').length, 1);
+  });
+
+  it('writes nothing when a row is invalid', async () => {
+    const { status, body } = await app.request('POST', '/api/itcourses/import', {
+      token: admin,
+      body: [{ Name: 'Networks' }, { Name: 'Security', Credits: 99 }]
+    });
+
+    assert.equal(status, 422);
+    assert.equal(body.invalid, 1);
+    assert.equal(supabase.rows('ITCourses').length, 1);
+  });
+
+  it('reports the line of malformed CSV', async () => {
+    const { status, body } = await importCsv('/api/itcourses/import', 'Name\n"Networks', admin);
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'invalid_csv');
+    assert.equal(body.line, 2);
+  });
+
+  it('upserts on key columns of the table', async () => {
+    const { status, body } = await importCsv('/api/itcourses/import?upsert=true&onConflict=Code', 'Name,Code\nDatabases II,IT1\n', admin);
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.results.map(result => result.status), ['upserted']);
+    assert.deepEqual(supabase.rows('ITCourses').map(row => row.Name), ['Databases II']);
+  });
+
+  for (const onConflict of ['Salary', 'Code,Salary', 'Code;drop']) {
+    it(`rejects the upsert key '${onConflict}'`, async () => {
+      const { status, body } = await importCsv(`/api/itcourses/import?upsert=true&onConflict=${encodeURIComponent(onConflict)}`, 'Name,Code\nNetworks,IT2\n', admin);
+
+      assert.equal(status, 400);
+      assert.equal(body.code, 'unknown_column');
+      assert.equal(supabase.rows('ITCourses').length, 1);
+    });
+  }
+
+  it('rejects repeated onConflict parameters', async () => {
+    const { status } = await importCsv('/api/itcourses/import?upsert=true&onConflict=Code&onConflict=Name', 'Name,Code\nNetworks,IT2\n', admin);
+
+    assert.equal(status, 400);
+  });
+
+  it('checks the caller before reading the body', async () => {
+    for (const [token, expected] of [[undefined, 401], [editor, 403]]) {
+      const response = await fetch(`${app.url}/api/itcourses/import`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+        body: '[{"Name": '
+      });
+
+      assert.equal(response.status, expected);
+    }
+  });
+
+  it('accepts bodies over the regular JSON limit', async () => {
+    const rows = Array.from({ length: 2000 }, (_, index) => ({ Name: `Course ${index}`, Description: 'x'.repeat(50) }));
+    const { status, body } = await app.request('POST', '/api/itcourses/import?dryRun=true', { token: admin, body: rows });
+
+    assert.equal(status, 200);
+    assert.equal(body.valid, 2000);
+  });
+});
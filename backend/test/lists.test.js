@@ -0,0 +1,44 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+
+describe('list paging', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+    app.supabase.setRows('ITCourses', Array.from({ length: 150 }, (item, index) => ({ id: index + 1, Name: `Course ${index + 1}` })));
+  });
+
+  after(() => app.close());
+
+  it('pages a legacy alias by default and links the next page', async () => {
+    const first = await app.request('GET', '/api/itcourses');
+
+    assert.equal(first.status, 200);
+    assert.equal(first.body.length, 100);
+    assert.equal(first.headers.get('x-total-count'), '150');
+
+    const cursor = first.headers.get('x-next-cursor');
+    const second = await app.request('GET', `/api/itcourses?cursor=${encodeURIComponent(cursor)}`);
+
+    assert.equal(second.body.length, 50);
+    assert.equal(second.body[0].id, 101);
+    assert.equal(second.headers.get('x-next-cursor'), null);
+  });
+
+  it('pages a legacy alias when asked to', async () => {
+    const { body, headers } = await app.request('GET', '/api/itcourses?limit=20&offset=140');
+
+    assert.equal(body.length, 10);
+    assert.equal(headers.get('content-range'), 'items 140-149/150');
+  });
+
+  it('pages /api/data/:table by default', async () => {
+    const { body, headers } = await app.request('GET', '/api/data/itcourses');
+
+    assert.equal(body.length, 100);
+    assert.equal(headers.get('x-total-count'), '150');
+    assert.ok(headers.get('x-next-cursor'));
+  });
+});
@@ -0,0 +1,50 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+
+const METRICS_TOKEN = 'stand-in-metrics-token';
+
+describe('request metrics', () => {
+  let app;
+
+  // Routes with a request count for `status`
+  async function routesWithStatus(status) {
+    const { body } = await app.request('GET', '/metrics', { token: METRICS_TOKEN });
+    const pattern = new RegExp(`^http_requests_total\\{method="GET",route="([^"]*)",status="${status}"\\}`, 'gm');
+
+    return Array.from(body.matchAll(pattern), match => match[1]);
+  }
+
+  before(async () => {
+    app = await startApp({ METRICS_ENABLED: 'true', METRICS_TOKEN, SUPABASE_RETRIES: '0' });
+    app.supabase.setRows('Professors', [{ id: 1, Name: 'Ada' }]);
+  });
+
+  after(() => app.close());
+
+  it('labels a request with the full route pattern', async () => {
+    await app.request('GET', '/api/professors/1');
+
+    assert.ok((await routesWithStatus(200)).includes('/api/professors/:id'));
+  });
+
+  it('keeps the full pattern for errors handled outside the router', async () => {
+    app.supabase.restStatus = 500;
+
+    try {
+      const { status } = await app.request('GET', '/api/professors/1');
+
+      assert.equal(status, 500);
+    } finally {
+      app.supabase.restStatus = null;
+    }
+
+    assert.deepEqual(await routesWithStatus(500), ['/api/professors/:id']);
+  });
+
+  it('labels unknown URLs as unmatched', async () => {
+    await app.request('GET', '/nowhere/at/all');
+
+    assert.deepEqual(await routesWithStatus(404), ['unmatched']);
+  });
+});
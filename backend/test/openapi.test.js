@@ -0,0 +1,43 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+
+describe('GET /api/openapi.json', () => {
+  let app;
+  let spec;
+
+  before(async () => {
+    app = await startApp();
+    spec = (await app.request('GET', '/api/openapi.json')).body;
+  });
+
+  after(() => app.close());
+
+  it('documents bulk delete on the record path', () => {
+    const { parameters } = spec.paths['/api/professors/{id}'].delete;
+    const id = parameters.find(parameter => parameter.name === 'id');
+    const pattern = new RegExp(id.schema.pattern);
+
+    assert.match(id.description, /comma-separated/);
+    assert.ok(pattern.test('3'));
+    assert.ok(pattern.test('3,4,5'));
+    assert.ok(!pattern.test('3a,4'));
+  });
+
+  it('keeps a plain id on the other record routes', () => {
+    const { parameters } = spec.paths['/api/professors/{id}'].get;
+
+    assert.equal(parameters.find(parameter => parameter.name === 'id').description, 'Record ID');
+  });
+
+  it('documents the limits the query route applies', () => {
+    const { parameters } = spec.paths['/api/query/{table}'].get;
+
+    assert.deepEqual(parameters.find(parameter => parameter.name === 'limit').schema, {
+      type: 'integer',
+      minimum: 1,
+      maximum: 1000,
+      default: 100
+    });
+  });
+});
@@ -0,0 +1,46 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+
+// Tokens checked by Supabase Auth, so every verification shows up as a call
+// to the stand-in
+
+describe('rate limits', () => {
+  let app;
+
+  before(async () => {
+    // Trusting X-Forwarded-For lets one test client stand for many addresses
+    app = await startApp({ JWT_SECRET: undefined, RATE_LIMIT_ENABLED: 'true', RATE_LIMIT_MAX_REQUESTS: '3', TRUST_PROXY: '1' });
+    app.supabase.setRows('Professors', [{ id: 1, Name: 'Ada' }]);
+    app.supabase.addUser('ada@example.com', 'ada-password');
+  });
+
+  after(() => app.close());
+
+  it('counts per address, whatever token is sent', async () => {
+    const statuses = [];
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const { status } = await app.request('GET', '/api/professors', { token: `made-up-${attempt}` });
+      statuses.push(status);
+    }
+
+    assert.deepEqual(statuses, [401, 401, 401, 429, 429]);
+  });
+
+  it('does not verify tokens of limited requests', () => {
+    assert.equal(app.supabase.requestsTo('/auth/v1/user').length, 3);
+  });
+
+  it('also counts per user, whatever address they come from', async () => {
+    const token = app.supabase.tokenFor('ada@example.com');
+    const responses = [];
+
+    for (let attempt = 0; attempt < 4; attempt++) {
+      responses.push(await app.request('GET', '/api/professors', { token, headers: { 'X-Forwarded-For': `203.0.113.${attempt + 1}` } }));
+    }
+
+    assert.deepEqual(responses.map(response => response.status), [200, 200, 200, 429]);
+    assert.equal(responses[3].body.limit, 'user_requests');
+  });
+});
@@ -0,0 +1,74 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+
+// Supabase answering 502/503/504 on every attempt
+
+describe('Supabase gateway errors', () => {
+  let app;
+  let supabase;
+  let professors;
+
+  before(async () => {
+    // A high breaker threshold keeps every request reaching the stand-in
+    app = await startApp({ SUPABASE_RETRIES: '1', BREAKER_THRESHOLD: '1000' });
+    supabase = app.supabase;
+    supabase.setRows('Professors', [{ id: 1, Name: 'Ada' }, { id: 2, Name: 'Grace' }]);
+
+    // Loaded after startApp, which sets the environment they read
+    professors = require('../lib/tables').getTable('professors');
+  });
+
+  after(() => app.close());
+
+  beforeEach(async () => {
+    supabase.restStatus = null;
+    await require('../lib/cache').clearAllCaches();
+  });
+
+  for (const [status, code] of [[502, 'upstream_error'], [503, 'upstream_unavailable'], [504, 'upstream_timeout']]) {
+    it(`answers ${status} without a cached copy`, async () => {
+      const calls = supabase.requestsTo('/rest/v1/Professors').length;
+
+      supabase.restStatus = status;
+      const response = await app.request('GET', '/api/professors/2');
+
+      assert.equal(response.status, status);
+      assert.equal(response.body.code, code);
+      assert.equal(supabase.requestsTo('/rest/v1/Professors').length, calls + 2);
+    });
+  }
+
+  it('answers a record read from the cached list', async () => {
+    await app.request('GET', '/api/professors');
+
+    supabase.restStatus = 503;
+    const { status, headers, body } = await app.request('GET', '/api/professors/2');
+
+    assert.equal(status, 200);
+    assert.equal(body.Name, 'Grace');
+    assert.equal(headers.get('x-data-stale'), 'true');
+  });
+
+  it('answers a list from its expired copy', async () => {
+    const { cacheTtl, staleTtl } = professors;
+
+    professors.cacheTtl = 1;
+    professors.staleTtl = 0;
+
+    try {
+      await app.request('GET', '/api/professors');
+      await new Promise(resolve => setTimeout(resolve, 5));
+
+      supabase.restStatus = 503;
+      const { status, headers, body } = await app.request('GET', '/api/professors');
+
+      assert.equal(status, 200);
+      assert.equal(body.length, 2);
+      assert.equal(headers.get('x-data-stale'), 'true');
+    } finally {
+      professors.cacheTtl = cacheTtl;
+      professors.staleTtl = staleTtl;
+    }
+  });
+});
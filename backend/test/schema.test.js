@@ -0,0 +1,81 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+
+// What get_schema reports: two registered tables and one that is not
+const CATALOG = [
+  { name: 'Event', columns: [{ name: 'id', type: 'bigint' }], primaryKey: ['id'], foreignKeys: [] },
+  { name: 'Professors', columns: [{ name: 'id', type: 'bigint' }], primaryKey: ['id'], foreignKeys: [] },
+  { name: 'salaries', columns: [{ name: 'amount', type: 'numeric' }], primaryKey: ['id'], foreignKeys: [] }
+];
+
+describe('startup', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+    app.supabase.rpc.get_schema = () => ({ data: CATALOG });
+  });
+
+  after(() => app.close());
+
+  it('serves requests while table names are resolved', async () => {
+    const { status, body } = await app.request('GET', '/readyz');
+
+    assert.equal(status, 503);
+    assert.equal(body.status, 'starting');
+    assert.equal((await app.request('GET', '/healthz')).status, 200);
+  });
+
+  it('is ready once they are', async () => {
+    // Loaded after startApp, which sets the environment they read
+    const { resolveTables } = require('../lib/schema');
+    const { supabase } = require('../lib/supabase');
+
+    await resolveTables(supabase);
+
+    const { status, body } = await app.request('GET', '/readyz');
+
+    assert.equal(status, 200);
+    assert.equal(body.status, 'ok');
+  });
+
+  describe('GET /api/schema', () => {
+    it('only describes registered tables', async () => {
+      const { status, body } = await app.request('GET', '/api/schema');
+
+      assert.equal(status, 200);
+      assert.deepEqual(body.tables.map(table => [table.name, table.resource]), [['Event', 'events'], ['Professors', 'professors']]);
+    });
+
+    it('describes a table by registered or real name', async () => {
+      for (const name of ['events', 'Event']) {
+        const { status, body } = await app.request('GET', `/api/schema/${name}`);
+
+        assert.equal(status, 200);
+        assert.equal(body.resource, 'events');
+      }
+    });
+
+    it('answers 404 for tables that are not registered', async () => {
+      const { status, body } = await app.request('GET', '/api/schema/salaries');
+
+      assert.equal(status, 404);
+      assert.equal(body.code, 'unknown_table');
+    });
+
+    it('leaves out tables the role may not list', async () => {
+      const { roles } = require('../config/permissions');
+      const { anon } = roles;
+
+      roles.anon = { professors: ['list', 'read'] };
+
+      try {
+        assert.deepEqual((await app.request('GET', '/api/schema')).body.tables.map(table => table.name), ['Professors']);
+        assert.equal((await app.request('GET', '/api/schema/events')).status, 403);
+      } finally {
+        roles.anon = anon;
+      }
+    });
+  });
+});
@@ -0,0 +1,64 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+
+describe('GET /api/search', () => {
+  let app;
+  let supabase;
+  let token;
+
+  before(async () => {
+    app = await startApp({ SUPABASE_RETRIES: '0' });
+    supabase = app.supabase;
+
+    supabase.addUser('admin@example.com', 'admin-password', { role: 'admin' });
+    token = supabase.tokenFor('admin@example.com');
+  });
+
+  after(() => app.close());
+
+  beforeEach(async () => {
+    supabase.restStatus = null;
+    await require('../lib/cache').clearAllCaches();
+
+    // Far more rows match one term than the candidate cap
+    const courses = Array.from({ length: 150 }, (_, index) => ({
+      id: index + 1,
+      Name: `Course ${index + 1}`,
+      Code: `IT${index + 1}`
+    }));
+
+    courses[149].Description = 'Zeta functions';
+    supabase.setRows('ITCourses', courses);
+  });
+
+  it('only asks Supabase for rows matching every term', async () => {
+    const { status, body } = await app.request('GET', '/api/search?q=course%20zeta&tables=itcourses', { token });
+
+    assert.equal(status, 200);
+    assert.equal(body.results.length, 1);
+    assert.equal(body.results[0].source, 'supabase');
+    assert.deepEqual(body.results[0].hits.map(hit => hit.id), [150]);
+  });
+
+  it('searches cached rows while Supabase is unavailable', async () => {
+    await app.request('GET', '/api/itcourses', { token });
+
+    supabase.restStatus = 503;
+    const { status, headers, body } = await app.request('GET', '/api/search?q=course&tables=itcourses', { token });
+
+    assert.equal(status, 200);
+    assert.equal(body.results[0].source, 'cache');
+    assert.equal(headers.get('x-data-stale'), 'true');
+  });
+
+  it('answers an error when Supabase rejects the query', async () => {
+    await app.request('GET', '/api/itcourses', { token });
+
+    supabase.restStatus = 400;
+    const { status, body } = await app.request('GET', '/api/search?q=course&tables=itcourses', { token });
+
+    assert.equal(status, 500);
+    assert.equal(body.code, 'internal_error');
+  });
+});
@@ -0,0 +1,130 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+
+// Read a Server-Sent Events response until `text` has arrived
+async function readUntil(response, text) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let received = '';
+
+  while (!received.includes(text)) {
+    const { value, done } = await reader.read();
+
+    if (done) break;
+    received += decoder.decode(value, { stream: true });
+  }
+
+  return received;
+}
+
+// Data of every event of a type in a stream's text
+function eventsOf(received, type) {
+  return received
+    .split('\n\n')
+    .filter(block => block.includes(`event: ${type}\n`))
+    .map(block => JSON.parse(block.slice(block.indexOf('data: ') + 6)));
+}
+
+describe('change streams', () => {
+  let app;
+  let token;
+  let events;
+  let controller;
+
+  // Anonymous subscription, as an EventSource would make
+  async function openStream() {
+    const response = await fetch(`${app.url}/api/events/stream`, { signal: controller.signal });
+
+    assert.equal(response.status, 200);
+    return response;
+  }
+
+  before(async () => {
+    app = await startApp();
+    app.supabase.addUser('admin@example.com', 'admin-password', { role: 'admin' });
+    token = app.supabase.tokenFor('admin@example.com');
+
+    // Signed-in users see every event; anonymous callers only public ones
+    app.supabase.policies.Event = (row, claims) => !!claims || row.Location !== 'Staff room';
+
+    // Loaded after startApp, which sets the environment it reads
+    events = require('../lib/tables').getTable('events');
+  });
+
+  after(() => app.close());
+
+  beforeEach(() => {
+    controller = new AbortController();
+    app.supabase.setRows('Event', [
+      { id: 1, Name: 'Open day', Start_date: '2026-05-01', Location: 'Hall' },
+      { id: 2, Name: 'Staff meeting', Start_date: '2026-05-02', Location: 'Staff room' }
+    ]);
+  });
+
+  it('streams the writes of registered tables', async () => {
+    try {
+      const received = readUntil(await openStream(), 'Open house');
+
+      await app.request('PUT', '/api/events/1', { token, body: { Name: 'Open house' } });
+
+      assert.equal(eventsOf(await received, 'update')[0].row.Name, 'Open house');
+    } finally {
+      controller.abort();
+    }
+  });
+
+  it('leaves out rows the subscriber cannot read', async () => {
+    try {
+      const received = readUntil(await openStream(), 'Open house');
+
+      await app.request('PUT', '/api/events/2', { token, body: { Name: 'Budget meeting' } });
+      await app.request('PUT', '/api/events/1', { token, body: { Name: 'Open house' } });
+
+      assert.deepEqual(eventsOf(await received, 'update').map(event => event.row.id), [1]);
+    } finally {
+      controller.abort();
+    }
+  });
+
+  it('only sends the primary key of a delete the subscriber cannot read', async () => {
+    try {
+      const received = readUntil(await openStream(), 'event: delete');
+
+      await app.request('DELETE', '/api/events/2', { token });
+
+      const [deleted] = eventsOf(await received, 'delete');
+
+      assert.deepEqual(deleted.row, { id: 2 });
+      assert.equal(deleted.old, null);
+    } finally {
+      controller.abort();
+    }
+  });
+
+  it('tells the subscriber to reload when the check fails', async () => {
+    try {
+      const received = readUntil(await openStream(), 'event: reset');
+
+      app.supabase.restStatus = 400;
+      require('../lib/changeFeed').publish('events', { type: 'update', row: { id: 1 }, source: 'api' });
+
+      assert.match(await received, /"reason":"check_failed"/);
+    } finally {
+      app.supabase.restStatus = null;
+      controller.abort();
+    }
+  });
+
+  it('answers 404 for a table that opts out', async () => {
+    events.stream = false;
+
+    try {
+      const { status } = await app.request('GET', '/api/events/stream');
+
+      assert.equal(status, 404);
+    } finally {
+      events.stream = true;
+    }
+  });
+});
@@ -0,0 +1,72 @@
+const { ANON_KEY, startSupabaseStandIn } = require('./supabase');
+
+// Start the app against a fresh Supabase stand-in
+//
+// Settings are read from the environment when the app's modules are first
+// loaded, so this runs once per test file; `node --test` runs every file in a
+// process of its own. `env` overrides the test defaults; an undefined value
+// removes a setting (e.g. { JWT_SECRET: undefined } to verify tokens with
+// Supabase Auth instead).
+
+const JWT_SECRET = 'stand-in-jwt-secret-with-at-least-32-characters';
+
+const DEFAULT_ENV = {
+  JWT_SECRET,
+  LOG_LEVEL: 'error',
+  RATE_LIMIT_ENABLED: 'false',
+  SUPABASE_RETRY_BASE_MS: '1',
+  SUPABASE_RETRY_MAX_DELAY_MS: '5'
+};
+
+async function startApp(env = {}) {
+  const settings = { ...DEFAULT_ENV, ...env };
+  const supabase = await startSupabaseStandIn({ jwtSecret: JWT_SECRET });
+
+  process.env.SUPABASE_URL = supabase.url;
+  process.env.SUPABASE_ANON_KEY = ANON_KEY;
+
+  for (const [name, value] of Object.entries(settings)) {
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  }
+
+  const { createApp } = require('../../app');
+  const server = await new Promise(resolve => {
+    const listening = createApp().listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  // Call the app: { status, headers, body } with the body parsed as JSON
+  // when it is JSON
+  async function request(method, path, { token, body, headers = {} } = {}) {
+    const response = await fetch(`${url}${path}`, {
+      method,
+      headers: {
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    const json = (response.headers.get('content-type') || '').includes('json') && text;
+
+    return { status: response.status, headers: response.headers, body: json ? JSON.parse(text) : text };
+  }
+
+  async function close() {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await supabase.close();
+  }
+
+  return { url, supabase, request, close };
+}
+
+module.exports = {
+  JWT_SECRET,
+  startApp
+};
@@ -0,0 +1,90 @@
+// In-memory stand-in for the node-redis (v4) client calls RedisStore makes
+//
+// get, set with PX, del, mGet and scanIterator with a MATCH pattern, with
+// expiry checked on read. Set `down` to make every call fail the way an
+// unreachable Redis does.
+
+// RegExp for a Redis glob pattern (*, ? and backslash escapes)
+function globToRegExp(pattern) {
+  let source = '';
+
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+
+    if (char === '\\') {
+      source += pattern[++index].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    } else if (char === '*') {
+      source += '.*';
+    } else if (char === '?') {
+      source += '.';
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+class RedisStandIn {
+  constructor() {
+    this.values = new Map();
+    this.down = false;
+  }
+
+  check() {
+    if (this.down) {
+      throw new Error('connect ECONNREFUSED 127.0.0.1:6379');
+    }
+  }
+
+  // Value of a key that has not expired, else null
+  live(key) {
+    const item = this.values.get(key);
+
+    if (!item) return null;
+
+    if (item.expiresAt <= Date.now()) {
+      this.values.delete(key);
+      return null;
+    }
+
+    return item.value;
+  }
+
+  async get(key) {
+    this.check();
+    return this.live(key);
+  }
+
+  async set(key, value, { PX } = {}) {
+    this.check();
+    this.values.set(key, { value: String(value), expiresAt: PX ? Date.now() + PX : Infinity });
+    return 'OK';
+  }
+
+  async del(keys) {
+    this.check();
+    return [].concat(keys).filter(key => this.values.delete(key)).length;
+  }
+
+  async mGet(keys) {
+    this.check();
+    return keys.map(key => this.live(key));
+  }
+
+  async * scanIterator({ MATCH = '*' } = {}) {
+    this.check();
+
+    const pattern = globToRegExp(MATCH);
+
+    for (const key of Array.from(this.values.keys())) {
+      if (pattern.test(key) && this.live(key) !== null) {
+        yield key;
+      }
+    }
+  }
+}
+
+module.exports = {
+  RedisStandIn
+};
@@ -0,0 +1,491 @@
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Local Supabase stand-in for the tests
+//
+// One HTTP server that answers the parts of Supabase the proxy uses:
+//
+// - Auth (/auth/v1): password and refresh-token logins, /user, /logout and
+//   /health. Access tokens are HS256 JWTs signed with `jwtSecret`, like the
+//   ones a Supabase project issues, and a logout revokes that one session.
+// - REST (/rest/v1): PostgREST-style reads and writes on in-memory tables,
+//   with eq, neq, gt, gte, lt, lte, like, ilike, in and is filters (and not.),
+//   and/or logic trees, order, limit, offset, select, exact counts and
+//   upserts on on_conflict. Tables are created on first use. Functions are
+//   answered by handlers in `rpc`; others are missing (PGRST202).
+//
+// Row-level security is a function per table in `policies`. Every request is
+// kept in `requests`, and `restStatus` / `authStatus` make a service fail with
+// that status, e.g. 503 for an outage.
+
+const ANON_KEY = 'stand-in-anon-key';
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let text = '';
+
+    req.setEncoding('utf8');
+    req.on('data', chunk => { text += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(text ? JSON.parse(text) : undefined);
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+}
+
+function bearer(req) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  return scheme && scheme.toLowerCase() === 'bearer' ? token : null;
+}
+
+// PostgREST literal, e.g. "a b" in in.("a b",c)
+function unquote(value) {
+  return value.length > 1 && value.startsWith('"') && value.endsWith('"')
+    ? value.slice(1, -1).replace(/\\(.)/g, '$1')
+    : value;
+}
+
+function compare(a, b) {
+  const left = Number(a);
+  const right = Number(b);
+
+  if (a !== null && a !== '' && b !== '' && !Number.isNaN(left) && !Number.isNaN(right)) {
+    return left - right;
+  }
+
+  return String(a).localeCompare(String(b));
+}
+
+function likePattern(pattern, flags) {
+  const source = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/%/g, '.*');
+  return new RegExp(`^${source}$`, flags);
+}
+
+const IS_VALUES = { null: null, true: true, false: false };
+
+// Predicate for one PostgREST filter such as `eq.3` or `not.is.null`
+function parseFilter(column, expression) {
+  const negated = expression.startsWith('not.');
+  const rest = negated ? expression.slice(4) : expression;
+  const dot = rest.indexOf('.');
+  const operator = rest.slice(0, dot);
+  const value = operator === 'in' ? rest.slice(dot + 1) : unquote(rest.slice(dot + 1));
+  let test;
+
+  switch (operator) {
+    case 'eq': test = row => row[column] !== null && row[column] !== undefined && String(row[column]) === value; break;
+    case 'neq': test = row => String(row[column]) !== value; break;
+    case 'gt': test = row => compare(row[column], value) > 0; break;
+    case 'gte': test = row => compare(row[column], value) >= 0; break;
+    case 'lt': test = row => compare(row[column], value) < 0; break;
+    case 'lte': test = row => compare(row[column], value) <= 0; break;
+    case 'like': test = row => likePattern(value, '').test(String(row[column])); break;
+    case 'ilike': test = row => likePattern(value, 'i').test(String(row[column])); break;
+    case 'in': {
+      const values = value.replace(/^\(|\)$/g, '').split(',').map(unquote);
+      test = row => values.includes(String(row[column]));
+      break;
+    }
+    case 'is': test = row => (row[column] === undefined ? null : row[column]) === IS_VALUES[value]; break;
+    default: return null;
+  }
+
+  return negated ? row => !test(row) : test;
+}
+
+// Split a logic tree at its top-level commas, e.g. a.eq.1,or(b.eq.2,c.eq.3)
+function splitItems(text) {
+  const items = [];
+  let depth = 0;
+  let quoted = false;
+  let start = 0;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+
+    if (quoted) {
+      if (char === '\\') index++;
+      else if (char === '"') quoted = false;
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      items.push(text.slice(start, index));
+      start = index + 1;
+    }
+  }
+
+  items.push(text.slice(start));
+  return items;
+}
+
+// Predicate for the items of an and/or logic tree, such as the
+// a.eq.1,and(b.eq.2,c.eq.3) in or=(a.eq.1,and(b.eq.2,c.eq.3))
+function parseLogic(operator, text) {
+  const tests = splitItems(text).map(item => {
+    const group = /^(not\.)?(and|or)\((.*)\)$/.exec(item);
+
+    if (group) {
+      const test = parseLogic(group[2], group[3]);
+      return test && (group[1] ? row => !test(row) : test);
+    }
+
+    const dot = item.indexOf('.');
+    return parseFilter(item.slice(0, dot), item.slice(dot + 1));
+  });
+
+  if (tests.some(test => !test)) return null;
+
+  return operator === 'and'
+    ? row => tests.every(test => test(row))
+    : row => tests.some(test => test(row));
+}
+
+function parseOrder(value) {
+  return value.split(',').map(part => {
+    const [column, direction] = part.split('.');
+    return { column, ascending: direction !== 'desc' };
+  });
+}
+
+function pick(row, select) {
+  if (!select || select === '*') return row;
+
+  const picked = {};
+
+  for (const column of select.split(',')) {
+    if (column in row) picked[column] = row[column];
+  }
+
+  return picked;
+}
+
+class SupabaseStandIn {
+  constructor({ jwtSecret }) {
+    this.jwtSecret = jwtSecret;
+    this.anonKey = ANON_KEY;
+    this.users = new Map();
+    this.sessions = new Map();
+    this.refreshTokens = new Map();
+    this.tables = new Map();
+    this.nextIds = new Map();
+    this.rpc = {};
+    this.policies = {};
+    this.requests = [];
+    this.restStatus = null;
+    this.authStatus = null;
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => send(res, 500, { message: error.message }));
+    });
+  }
+
+  listen() {
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => {
+        this.url = `http://127.0.0.1:${this.server.address().port}`;
+        resolve(this);
+      });
+    });
+  }
+
+  close() {
+    this.server.closeAllConnections();
+    return new Promise(resolve => this.server.close(resolve));
+  }
+
+  // Users
+
+  addUser(email, password, appMetadata = {}) {
+    const user = {
+      id: crypto.randomUUID(),
+      aud: 'authenticated',
+      role: 'authenticated',
+      email,
+      app_metadata: { provider: 'email', ...appMetadata },
+      user_metadata: {}
+    };
+
+    this.users.set(email, { user, password });
+    return user;
+  }
+
+  // A new session for a registered user, as a password login would give
+  createSession(email, { expiresIn = 3600 } = {}) {
+    const { user } = this.users.get(email);
+    const sessionId = crypto.randomUUID();
+    const refreshToken = crypto.randomBytes(16).toString('hex');
+
+    this.sessions.set(sessionId, { email, revoked: false });
+    this.refreshTokens.set(refreshToken, sessionId);
+
+    return {
+      access_token: this.signToken(user, sessionId, expiresIn),
+      token_type: 'bearer',
+      expires_in: expiresIn,
+      refresh_token: refreshToken,
+      user
+    };
+  }
+
+  signToken(user, sessionId, expiresIn) {
+    return jwt.sign({
+      sub: user.id,
+      aud: 'authenticated',
+      role: 'authenticated',
+      email: user.email,
+      session_id: sessionId,
+      app_metadata: user.app_metadata,
+      user_metadata: user.user_metadata
+    }, this.jwtSecret, { algorithm: 'HS256', expiresIn });
+  }
+
+  // Access token of a new session for a registered user
+  tokenFor(email, options) {
+    return this.createSession(email, options).access_token;
+  }
+
+  // Claims of a live session's access token, or null
+  verify(token) {
+    try {
+      const claims = jwt.verify(token, this.jwtSecret, { algorithms: ['HS256'] });
+      const session = this.sessions.get(claims.session_id);
+
+      return session && !session.revoked ? claims : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Tables
+
+  setRows(table, rows) {
+    this.tables.set(table, rows.map(row => ({ ...row })));
+    this.nextIds.set(table, rows.reduce((max, row) => Math.max(max, Number(row.id) || 0), 0) + 1);
+  }
+
+  rows(table) {
+    if (!this.tables.has(table)) this.setRows(table, []);
+    return this.tables.get(table);
+  }
+
+  requestsTo(prefix) {
+    return this.requests.filter(request => request.path.startsWith(prefix));
+  }
+
+  // Requests
+
+  async handle(req, res) {
+    const url = new URL(req.url, this.url);
+    const body = await readBody(req);
+
+    this.requests.push({ method: req.method, path: url.pathname, query: url.searchParams, headers: req.headers, body });
+
+    if (url.pathname.startsWith('/auth/v1/')) {
+      if (this.authStatus) return send(res, this.authStatus, { message: 'Auth stand-in is down' });
+      return this.handleAuth(req, res, url, body || {});
+    }
+
+    if (url.pathname.startsWith('/rest/v1/')) {
+      if (this.restStatus) return send(res, this.restStatus, { message: 'REST stand-in is down' });
+      return this.handleRest(req, res, url, body);
+    }
+
+    send(res, 404, { message: 'Not found' });
+  }
+
+  handleAuth(req, res, url, body) {
+    const path = url.pathname.slice('/auth/v1'.length);
+
+    if (path === '/health') {
+      return send(res, 200, { name: 'GoTrue', description: 'Supabase Auth stand-in' });
+    }
+
+    if (path === '/token' && url.searchParams.get('grant_type') === 'password') {
+      const account = this.users.get(body.email);
+
+      if (!account || account.password !== body.password) {
+        return send(res, 400, { error: 'invalid_grant', error_description: 'Invalid login credentials' });
+      }
+
+      return send(res, 200, this.createSession(body.email));
+    }
+
+    if (path === '/token' && url.searchParams.get('grant_type') === 'refresh_token') {
+      const sessionId = this.refreshTokens.get(body.refresh_token);
+      const session = sessionId && this.sessions.get(sessionId);
+
+      if (!session || session.revoked) {
+        return send(res, 400, { error: 'invalid_grant', error_description: 'Invalid Refresh Token' });
+      }
+
+      // Refresh tokens are single use
+      this.refreshTokens.delete(body.refresh_token);
+      session.revoked = true;
+
+      return send(res, 200, this.createSession(session.email));
+    }
+
+    const claims = this.verify(bearer(req));
+
+    if (path === '/user' && req.method === 'GET') {
+      if (!claims) return send(res, 401, { msg: 'invalid JWT: unable to parse or verify signature' });
+      return send(res, 200, this.users.get(claims.email).user);
+    }
+
+    if (path === '/logout' && req.method === 'POST') {
+      if (!claims) return send(res, 401, { msg: 'invalid JWT: unable to parse or verify signature' });
+
+      for (const [id, session] of this.sessions) {
+        if (url.searchParams.get('scope') === 'global' ? session.email === claims.email : id === claims.session_id) {
+          session.revoked = true;
+        }
+      }
+
+      return send(res, 204);
+    }
+
+    send(res, 404, { msg: `No auth route for ${req.method} ${path}` });
+  }
+
+  handleRest(req, res, url, body) {
+    const name = decodeURIComponent(url.pathname.slice('/rest/v1/'.length));
+
+    if (name.startsWith('rpc/')) {
+      const handler = this.rpc[name.slice(4)];
+
+      if (!handler) {
+        return send(res, 404, { code: 'PGRST202', message: `Could not find the function public.${name.slice(4)} in the schema cache` });
+      }
+
+      const { status = 200, data } = handler(body || {}, { token: bearer(req), stub: this });
+      return send(res, status, data);
+    }
+
+    const rows = this.rows(name);
+    const filters = [];
+
+    for (const [column, expression] of url.searchParams) {
+      if (['select', 'order', 'limit', 'offset', 'columns', 'on_conflict'].includes(column)) continue;
+
+      const filter = column === 'and' || column === 'or'
+        ? parseLogic(column, expression.replace(/^\(|\)$/g, ''))
+        : parseFilter(column, expression);
+
+      if (!filter) {
+        return send(res, 400, { code: 'PGRST100', message: `The stand-in does not support the filter ${column}=${expression}` });
+      }
+
+      filters.push(filter);
+    }
+
+    // Row-level security: policies[table](row, claims) decides which rows a
+    // caller may see; claims are null for the anon key
+    const policy = this.policies[name];
+    const claims = policy && this.verify(bearer(req));
+    const matches = row => (!policy || policy(row, claims)) && filters.every(filter => filter(row));
+    const prefer = req.headers.prefer || '';
+    const select = url.searchParams.get('select');
+    const representation = prefer.includes('return=representation');
+
+    if (req.method === 'GET' || req.method === 'HEAD') {
+      let found = rows.filter(matches);
+
+      if (url.searchParams.has('order')) {
+        const order = parseOrder(url.searchParams.get('order'));
+
+        found = found.slice().sort((a, b) => {
+          for (const { column, ascending } of order) {
+            const result = compare(a[column], b[column]);
+            if (result !== 0) return ascending ? result : -result;
+          }
+          return 0;
+        });
+      }
+
+      const total = found.length;
+      const offset = Number(url.searchParams.get('offset') || 0);
+      const limit = url.searchParams.has('limit') ? Number(url.searchParams.get('limit')) : total;
+
+      if (offset > 0 && offset >= total) {
+        return send(res, 416, { code: 'PGRST103', message: 'Requested range not satisfiable' });
+      }
+
+      const page = found.slice(offset, offset + limit).map(row => pick(row, select));
+      const headers = {
+        'Content-Range': `${page.length > 0 ? `${offset}-${offset + page.length - 1}` : '*'}/${prefer.includes('count=exact') ? total : '*'}`
+      };
+
+      if ((req.headers.accept || '').includes('application/vnd.pgrst.object+json')) {
+        if (page.length !== 1) {
+          return send(res, 406, { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned', details: `The result contains ${page.length} rows` });
+        }
+
+        return send(res, 200, page[0], headers);
+      }
+
+      if (req.method === 'HEAD') {
+        res.writeHead(200, headers);
+        return res.end();
+      }
+
+      return send(res, 200, page, headers);
+    }
+
+    if (req.method === 'POST') {
+      const keys = (url.searchParams.get('on_conflict') || 'id').split(',');
+      const merge = prefer.includes('resolution=merge-duplicates');
+
+      const created = [].concat(body).map(record => {
+        const existing = merge && rows.find(row => keys.every(key => record[key] !== undefined && String(row[key]) === String(record[key])));
+
+        if (existing) return Object.assign(existing, record);
+
+        const id = record.id !== undefined ? record.id : this.nextIds.get(name);
+
+        this.nextIds.set(name, Math.max(this.nextIds.get(name), Number(id) + 1));
+        return { id, ...record };
+      });
+
+      rows.push(...created.filter(row => !rows.includes(row)));
+      return send(res, 201, representation ? created.map(row => pick(row, select)) : undefined);
+    }
+
+    if (req.method === 'PATCH') {
+      const updated = rows.filter(matches);
+
+      updated.forEach(row => Object.assign(row, body));
+      return send(res, 200, representation ? updated.map(row => pick(row, select)) : undefined);
+    }
+
+    if (req.method === 'DELETE') {
+      const deleted = rows.filter(matches);
+
+      this.tables.set(name, rows.filter(row => !matches(row)));
+      return send(res, 200, representation ? deleted.map(row => pick(row, select)) : undefined);
+    }
+
+    send(res, 405, { message: `Method ${req.method} not supported` });
+  }
+}
+
+// Start a stand-in on a free local port
+function startSupabaseStandIn({ jwtSecret }) {
+  return new SupabaseStandIn({ jwtSecret }).listen();
+}
+
+module.exports = {
+  ANON_KEY,
+  startSupabaseStandIn
+};
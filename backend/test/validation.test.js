@@ -0,0 +1,99 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+const { validate } = require('../lib/validation');
+
+const SCHEMA = {
+  Name: { type: 'string', required: true, maxLength: 10 },
+  Credits: { type: 'integer', min: 0, max: 10 },
+  Ratio: { type: 'number' },
+  Start: { type: 'string', format: 'date' }
+};
+
+function codes(result) {
+  return result.errors.map(error => `${error.field}:${error.code}`);
+}
+
+describe('validate', () => {
+  it('coerces plain decimal strings', () => {
+    const { value, errors } = validate(SCHEMA, { Name: ' Ada ', Credits: ' 3 ', Ratio: '-1.5' });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value, { Name: 'Ada', Credits: 3, Ratio: -1.5 });
+  });
+
+  for (const raw of ['0x10', '1e1', '3.0', 'Infinity', '1 2']) {
+    it(`rejects '${raw}' as an integer`, () => {
+      assert.deepEqual(codes(validate(SCHEMA, { Name: 'Ada', Credits: raw })), ['Credits:invalid_type']);
+    });
+  }
+
+  it('rejects hex and exponents as numbers', () => {
+    assert.deepEqual(codes(validate(SCHEMA, { Name: 'Ada', Ratio: '0x1' })), ['Ratio:invalid_type']);
+    assert.deepEqual(codes(validate(SCHEMA, { Name: 'Ada', Ratio: '2e3' })), ['Ratio:invalid_type']);
+  });
+
+  it('rejects dates that do not exist', () => {
+    assert.deepEqual(codes(validate(SCHEMA, { Name: 'Ada', Start: '2024-02-30' })), ['Start:invalid_format']);
+    assert.deepEqual(codes(validate(SCHEMA, { Name: 'Ada', Start: '2023-02-29T09:00:00Z' })), ['Start:invalid_format']);
+    assert.deepEqual(codes(validate(SCHEMA, { Name: 'Ada', Start: '2024-13-01' })), ['Start:invalid_format']);
+    assert.deepEqual(codes(validate(SCHEMA, { Name: 'Ada', Start: '2024-02-29' })), []);
+  });
+
+  it('requires required fields in a whole record', () => {
+    assert.deepEqual(codes(validate(SCHEMA, { Credits: 3 })), ['Name:required']);
+  });
+
+  it('checks only the supplied fields of a patch', () => {
+    const { value, errors } = validate(SCHEMA, { Credits: 3 }, { partial: true });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value, { Credits: 3 });
+  });
+
+  it('still rejects clearing a required field in a patch', () => {
+    assert.deepEqual(codes(validate(SCHEMA, { Name: '' }, { partial: true })), ['Name:required']);
+  });
+
+  it('rejects a patch without known fields', () => {
+    assert.deepEqual(codes(validate(SCHEMA, { id: 4 }, { partial: true })), ['null:no_fields']);
+  });
+});
+
+describe('PUT /api/:table/:id', () => {
+  let app;
+  let token;
+
+  before(async () => {
+    app = await startApp();
+    app.supabase.addUser('admin@example.com', 'admin-password', { role: 'admin' });
+    app.supabase.setRows('Professors', [{ id: 1, Name: 'Ada', Department: 'CS', Office: 'B12' }]);
+    token = app.supabase.tokenFor('admin@example.com');
+  });
+
+  after(() => app.close());
+
+  it('changes only the fields in the body', async () => {
+    const { status, body } = await app.request('PUT', '/api/professors/1', { token, body: { Department: 'EE' } });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body[0], { id: 1, Name: 'Ada', Department: 'EE', Office: 'B12' });
+  });
+
+  it('answers 422 for an invalid supplied field', async () => {
+    const { status, body } = await app.request('PUT', '/api/professors/1', { token, body: { Rank: 'Dean' } });
+
+    assert.equal(status, 422);
+    assert.equal(body.fields[0].code, 'invalid_enum');
+  });
+
+  it('answers 422 for a date that does not exist', async () => {
+    const created = await app.request('POST', '/api/events', {
+      token,
+      body: { Name: 'Leap', Start_date: '2026-02-29', Location: 'Hall' }
+    });
+
+    assert.equal(created.status, 422);
+    assert.equal(created.body.fields[0].field, 'Start_date');
+  });
+});